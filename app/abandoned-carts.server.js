@@ -0,0 +1,345 @@
+/**
+ * ============================================================================
+ * Abandoned Cart Detector
+ * ============================================================================
+ *
+ * Shopify has no "checkout abandoned" webhook, only checkouts/create and
+ * checkouts/update. This module tracks checkout state from those and decides
+ * abandonment itself:
+ *
+ * - Every checkout event (re)starts a timer for its checkout token.
+ * - The timer is cancelled when the checkout completes — completed_at appears
+ *   on a checkouts/update, or an orders/create arrives with its checkout_token.
+ * - When a timer runs out (no activity for ABANDONED_CART_DELAY_MINUTES), one
+ *   synthetic CHECKOUTS_ABANDONED event ("checkouts/abandoned") is queued in
+ *   the outbox with the latest checkout payload, and delivered to Wylto like
+ *   any other webhook. A token is only ever reported once.
+ *
+ * Checkouts with no phone number anywhere are not reported — there is no one
+ * to send a WhatsApp reminder to.
+ *
+ * Timers live in memory; the checkout state behind them is persisted, and
+ * startAbandonedCartDetector() re-arms them after a restart (firing at once
+ * for any that came due while the process was down). Uninstalling the app
+ * drops a shop's pending checkouts and their timers (cancelShopCheckouts).
+ *
+ * Record shape (keyed by "<shop>:<token>"):
+ *   { shop, token, checkout, status, lastActivityAt, dueAt, finishedAt }
+ *   status is "pending", "completed", "abandoned" or "no_contact".
+ * ============================================================================
+ */
+
+import { openCollection } from "./storage.server";
+import { enqueueWebhook, notifyOutbox } from "./outbox.server";
+import { createLogger } from "./logger.server";
+import { config } from "./config.server";
+
+/**
+ * Abandoned Cart Configuration
+ */
+const ABANDONED_CART_DELAY_MINUTES = config.abandonedCartDelayMinutes;
+const ABANDONED_CART_DELAY_MS = ABANDONED_CART_DELAY_MINUTES * 60 * 1000;
+// Finished checkouts are remembered this long, so a late or repeated
+// checkouts/update can't restart a timer for a cart already reported
+const FINISHED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const EMIT_RETRY_MS = 60 * 1000; // 1 minute
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+/** Synthetic topic queued for an abandoned checkout, in authenticate.webhook's form. */
+export const CHECKOUTS_ABANDONED = "CHECKOUTS_ABANDONED";
+
+const checkouts = openCollection("checkouts");
+const log = createLogger("AbandonedCart");
+
+/** Running timers, by record key. */
+const timers = new Map();
+
+let started = false;
+let lastPrunedAt = 0;
+
+/**
+ * @param {string} shop
+ * @param {string} token
+ * @returns {string}
+ */
+function checkoutKey(shop, token) {
+  return `${shop}:${token}`;
+}
+
+/**
+ * Whether the checkout carries a phone number a reminder could go to.
+ *
+ * @param {any} checkout - Checkout webhook payload
+ * @returns {boolean}
+ */
+function hasPhone(checkout) {
+  return Boolean(
+    checkout.phone ||
+      checkout.customer?.phone ||
+      checkout.shipping_address?.phone ||
+      checkout.billing_address?.phone,
+  );
+}
+
+// ============================================================================
+// Timers
+// ============================================================================
+
+/**
+ * Starts (or restarts) the timer for a pending record.
+ *
+ * @param {string} key - Record key
+ * @param {number} dueAt - When the checkout counts as abandoned
+ */
+function armTimer(key, dueAt) {
+  clearTimeout(timers.get(key));
+  // setTimeout overflows past ~24.8 days; a long delay just re-arms on firing
+  const delay = Math.min(Math.max(dueAt - Date.now(), 0), 2 ** 31 - 1);
+  const timer = setTimeout(() => {
+    timers.delete(key);
+    checkAbandoned(key).catch((error) => {
+      log.error(`Failed to check ${key}`, { error });
+    });
+  }, delay);
+  timer.unref?.();
+  timers.set(key, timer);
+}
+
+/**
+ * @param {string} key - Record key
+ */
+function cancelTimer(key) {
+  clearTimeout(timers.get(key));
+  timers.delete(key);
+}
+
+/**
+ * Called when a timer fires. Queues the abandoned event if the checkout is
+ * still pending and due; otherwise does nothing (or re-arms, if not yet due).
+ *
+ * @param {string} key - Record key
+ * @returns {Promise<void>}
+ */
+async function checkAbandoned(key) {
+  const record = checkouts.get(key);
+  if (!record || record.status !== "pending") return;
+  if (record.dueAt > Date.now()) {
+    armTimer(key, record.dueAt);
+    return;
+  }
+
+  const now = Date.now();
+  if (!hasPhone(record.checkout)) {
+    await checkouts.set(key, { ...record, status: "no_contact", finishedAt: now });
+    log.info(`Checkout ${record.token} for ${record.shop} abandoned but has no phone number, not reporting`, {
+      shop: record.shop,
+    });
+    return;
+  }
+
+  // Queue first, then mark: a crash in between reports the cart twice at
+  // worst, rather than not at all
+  try {
+    await enqueueWebhook({
+      shop: record.shop,
+      topic: CHECKOUTS_ABANDONED,
+      payload: {
+        ...record.checkout,
+        abandoned_at: new Date(now).toISOString(),
+        abandoned_after_minutes: ABANDONED_CART_DELAY_MINUTES,
+        // The Automations page's key for this stage (ORDER_STATUSES)
+        automationStatus: "abandonedCart",
+      },
+    });
+  } catch (error) {
+    log.error(`Could not queue abandoned checkout ${record.token} for ${record.shop}, retrying`, {
+      shop: record.shop,
+      error,
+    });
+    armTimer(key, now + EMIT_RETRY_MS);
+    return;
+  }
+  await checkouts.set(key, { ...record, status: "abandoned", finishedAt: now });
+  notifyOutbox();
+  log.info(
+    `Checkout ${record.token} for ${record.shop} abandoned after ` +
+      `${ABANDONED_CART_DELAY_MINUTES} minutes, queued ${CHECKOUTS_ABANDONED}`,
+    { shop: record.shop },
+  );
+}
+
+/**
+ * Drops finished records past FINISHED_RETENTION_MS. Runs at most once an hour.
+ *
+ * @returns {Promise<void>}
+ */
+async function pruneFinished() {
+  const now = Date.now();
+  if (now - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+  lastPrunedAt = now;
+  await checkouts.deleteWhere(
+    (record) => record.status !== "pending" && record.finishedAt < now - FINISHED_RETENTION_MS,
+  );
+}
+
+// ============================================================================
+// Tracking
+// ============================================================================
+
+/**
+ * Marks a checkout completed and cancels its timer. The checkout payload is
+ * no longer needed and isn't kept.
+ *
+ * @param {string} shop
+ * @param {string} token
+ * @returns {Promise<void>}
+ */
+async function completeCheckout(shop, token) {
+  const key = checkoutKey(shop, token);
+  const record = checkouts.get(key);
+  cancelTimer(key);
+  if (record && record.status !== "pending") return;
+
+  const now = Date.now();
+  await checkouts.set(key, {
+    shop,
+    token,
+    checkout: null,
+    status: "completed",
+    lastActivityAt: now,
+    dueAt: null,
+    finishedAt: now,
+  });
+}
+
+/**
+ * Records checkout activity from a checkouts/create or checkouts/update
+ * payload: restarts the abandonment timer, or cancels it once the checkout
+ * has completed. Activity on a checkout already completed or reported is
+ * ignored.
+ *
+ * @param {string} shop
+ * @param {any} checkout - Checkout webhook payload (has a token)
+ * @returns {Promise<void>}
+ */
+export async function trackCheckout(shop, checkout) {
+  if (checkout.completed_at) {
+    await completeCheckout(shop, checkout.token);
+    return;
+  }
+
+  const key = checkoutKey(shop, checkout.token);
+  const record = checkouts.get(key);
+  if (record && record.status !== "pending") return;
+
+  const now = Date.now();
+  const dueAt = now + ABANDONED_CART_DELAY_MS;
+  await checkouts.set(key, {
+    shop,
+    token: checkout.token,
+    checkout,
+    status: "pending",
+    lastActivityAt: now,
+    dueAt,
+    finishedAt: null,
+  });
+  armTimer(key, dueAt);
+
+  pruneFinished().catch((error) => {
+    log.error("Failed to prune checkouts", { error });
+  });
+}
+
+/**
+ * Marks the checkout an order came from as completed, if it is tracked.
+ * Shopify doesn't always send a checkouts/update with completed_at, so
+ * orders/create is the reliable signal.
+ *
+ * @param {string} shop
+ * @param {any} order - Order webhook payload
+ * @returns {Promise<void>}
+ */
+export async function trackOrder(shop, order) {
+  if (!order.checkout_token) return;
+  const key = checkoutKey(shop, order.checkout_token);
+  if (!checkouts.has(key)) return;
+  await completeCheckout(shop, order.checkout_token);
+}
+
+// ============================================================================
+// Pipeline hooks
+// ============================================================================
+
+/**
+ * Hook for checkouts/create and checkouts/update. Leaves the payload as is.
+ *
+ * @param {any} payload
+ * @param {{shop: string}} context
+ */
+export async function trackCheckoutHook(payload, { shop }) {
+  await trackCheckout(shop, payload);
+}
+
+/**
+ * Hook for orders/create. Leaves the payload as is.
+ *
+ * @param {any} payload
+ * @param {{shop: string}} context
+ */
+export async function trackOrderHook(payload, { shop }) {
+  await trackOrder(shop, payload);
+}
+
+// ============================================================================
+// Lifecycle
+// ============================================================================
+
+/**
+ * Re-arms timers for every pending checkout. Safe to call more than once.
+ */
+export function startAbandonedCartDetector() {
+  if (started) return;
+  started = true;
+  for (const [key, record] of checkouts.entries()) {
+    if (record.status === "pending") armTimer(key, record.dueAt);
+  }
+}
+
+/**
+ * Stops tracking a shop's pending checkouts: cancels their timers and deletes
+ * their records, so no abandoned-cart event is queued for a shop that
+ * uninstalled (see offboarding.server.js). Finished checkouts are left for
+ * the purge.
+ *
+ * @param {string} shop
+ * @returns {Promise<number>} How many pending checkouts were dropped
+ */
+export async function cancelShopCheckouts(shop) {
+  const pending = checkouts
+    .entries()
+    .filter(([, record]) => record.shop === shop && record.status === "pending");
+  for (const [key] of pending) cancelTimer(key);
+  if (pending.length === 0) return 0;
+  const keys = new Set(pending.map(([key]) => key));
+  return checkouts.deleteWhere((record, key) => keys.has(key));
+}
+
+/**
+ * Checkout tracking figures, for diagnostics.
+ *
+ * @returns {{delayMinutes: number, pending: number, abandoned: number, completed: number, noContact: number}}
+ *   Counts cover the checkouts currently remembered.
+ */
+export function getAbandonedCartStats() {
+  const counts = { pending: 0, abandoned: 0, completed: 0, no_contact: 0 };
+  for (const record of checkouts.values()) {
+    counts[record.status] = (counts[record.status] || 0) + 1;
+  }
+  return {
+    delayMinutes: ABANDONED_CART_DELAY_MINUTES,
+    pending: counts.pending,
+    abandoned: counts.abandoned,
+    completed: counts.completed,
+    noContact: counts.no_contact,
+  };
+}
@@ -0,0 +1,142 @@
+/**
+ * ============================================================================
+ * Circuit Breaker
+ * ============================================================================
+ *
+ * Stops calling a dependency that keeps failing, so callers fail fast
+ * instead of each waiting out a timeout. Used by WyltoClient
+ * (wylto-client.server.js), one breaker per process.
+ *
+ *   closed    -> calls go through; `failureThreshold` failures in a row open it
+ *   open      -> calls are refused until `resetTimeout` has passed
+ *   half_open -> one trial call goes through (others are still refused);
+ *                success closes the breaker, failure opens it again
+ *
+ * The caller decides what counts as a failure: an outage or a timeout says
+ * the dependency is unhealthy, a rejected request (4xx) says it is up and is
+ * reported with recordSuccess().
+ * ============================================================================
+ */
+
+import { createLogger } from "./logger.server";
+
+const log = createLogger("Circuit");
+
+/** While the trial call is in flight, how soon a refused caller should try again. */
+const HALF_OPEN_RETRY_MS = 1000;
+
+/**
+ * Creates a circuit breaker.
+ *
+ * @param {{name: string, failureThreshold?: number, resetTimeout?: number}} options
+ *   resetTimeout is how long the breaker stays open, in milliseconds
+ */
+export function createCircuitBreaker({ name, failureThreshold = 5, resetTimeout = 30000 }) {
+  let state = "closed";
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastFailure = null;
+  let lastFailureAt = null;
+  let lastSuccessAt = null;
+  let timesOpened = 0;
+
+  function open(now) {
+    timesOpened += 1;
+    state = "open";
+    openedAt = now;
+    log.warn(
+      `${name} open after ${consecutiveFailures} consecutive failures (${lastFailure}); ` +
+        `refusing calls for ${Math.round(resetTimeout / 1000)}s`,
+      { circuit: name },
+    );
+  }
+
+  return {
+    name,
+
+    /**
+     * Whether a call may go through now. In half_open this claims the one
+     * trial call, so the caller must report its outcome.
+     *
+     * @returns {boolean}
+     */
+    allowRequest() {
+      if (state === "open" && Date.now() - openedAt >= resetTimeout) {
+        state = "half_open";
+        log.info(`${name} half-open, trying one call`, { circuit: name });
+      }
+      if (state === "closed") return true;
+      if (state === "half_open" && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+
+    /** Reports a call the dependency answered. */
+    recordSuccess() {
+      if (state !== "closed") log.info(`${name} closed, calls succeed again`, { circuit: name });
+      state = "closed";
+      consecutiveFailures = 0;
+      openedAt = null;
+      trialInFlight = false;
+      lastSuccessAt = Date.now();
+    },
+
+    /**
+     * Reports a call that failed because the dependency is unhealthy.
+     *
+     * @param {string} reason - Short description, shown in getState()
+     */
+    recordFailure(reason) {
+      const now = Date.now();
+      consecutiveFailures += 1;
+      lastFailure = reason;
+      lastFailureAt = now;
+      trialInFlight = false;
+      // Calls already in flight when it opened don't push the reopening back
+      if (state === "half_open" || (state === "closed" && consecutiveFailures >= failureThreshold)) {
+        open(now);
+      }
+    },
+
+    /**
+     * When a refused call may be tried again: the end of the open period, or
+     * shortly after now while the half-open trial call is in flight. Null
+     * while closed, when nothing is refused.
+     *
+     * @returns {number | null} Epoch milliseconds
+     */
+    retryAt() {
+      if (state === "closed") return null;
+      const now = Date.now();
+      if (state === "open" && now - openedAt < resetTimeout) return openedAt + resetTimeout;
+      return now + HALF_OPEN_RETRY_MS;
+    },
+
+    /**
+     * The breaker's state, as reported on /health/wylto.
+     *
+     * @returns {object}
+     */
+    getState() {
+      // An open breaker past its reset timeout lets the next call through,
+      // even if none has come yet to move it to half_open
+      const expired = state === "open" && Date.now() - openedAt >= resetTimeout;
+      return {
+        name,
+        state: expired ? "half_open" : state,
+        consecutiveFailures,
+        failureThreshold,
+        resetTimeoutMs: resetTimeout,
+        openedAt,
+        retryAt: this.retryAt(),
+        timesOpened,
+        lastFailure,
+        lastFailureAt,
+        lastSuccessAt,
+      };
+    },
+  };
+}
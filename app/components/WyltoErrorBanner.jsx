@@ -0,0 +1,46 @@
+import { useRevalidator } from "react-router";
+
+/** Banner titles by WyltoError type (see wylto-errors.server.js). */
+const TITLES = {
+  auth: "Wylto rejected the app's credentials",
+  not_connected: "This store isn't connected to Wylto",
+  unavailable: "Wylto is unavailable right now",
+  timeout: "Wylto didn't respond in time",
+};
+
+/* eslint-disable react/prop-types -- presentational helper */
+/**
+ * The banner every page shows when its loader couldn't get what it needed
+ * from Wylto. `error` is the { message, type } a loader returns as
+ * wyltoError (see wyltoLoaderError in wylto-connection.server.js), so the
+ * same failure reads the same on Home, Templates and Automations.
+ *
+ * @param {{error: {message: string, type: string} | null}} props
+ */
+export function WyltoErrorBanner({ error }) {
+  const revalidator = useRevalidator();
+  if (!error) return null;
+
+  const retrying = revalidator.state === "loading";
+  return (
+    <s-section>
+      <s-box padding="base" borderWidth="base" borderRadius="base" background="critical-subdued">
+        <div style={{ fontWeight: 650, fontSize: "13.5px", color: "#1a1a1a", marginBottom: "4px" }}>
+          {TITLES[error.type] || "Couldn't load your Wylto data"}
+        </div>
+        <s-text tone="critical">{error.message}</s-text>
+        <div style={{ marginTop: "12px" }}>
+          <s-button
+            onClick={() => revalidator.revalidate()}
+            disabled={retrying}
+            loading={retrying}
+            variant="secondary"
+          >
+            Try again
+          </s-button>
+        </div>
+      </s-box>
+    </s-section>
+  );
+}
+/* eslint-enable react/prop-types */
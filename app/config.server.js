@@ -0,0 +1,401 @@
+/**
+ * ============================================================================
+ * Configuration
+ * ============================================================================
+ *
+ * Every setting the app reads from the environment, parsed and checked once
+ * when the server starts. Other modules import `config` and never read
+ * process.env themselves, so each variable has one name, one default and one
+ * set of rules, all listed below.
+ *
+ * Checked at startup:
+ *   - required variables are set (WYLTO_API_TOKEN only outside test mode,
+ *     WYLTO_SESSION_ENCRYPTION_KEY only in production,
+ *     WYLTO_SESSION_DATABASE_URL with the postgresql session adapter);
+ *   - production keeps sessions in PostgreSQL, shared by every instance;
+ *   - URLs parse (SHOPIFY_APP_URL must be https in production);
+ *   - numbers are numbers, in range;
+ *   - SCOPES is a list of access scopes and matches the access_scopes in
+ *     shopify.app.toml, when that file is deployed next to the app;
+ *   - encryption keys are 32 bytes, base64-encoded.
+ *
+ * Every problem goes into one report (configProblems). In production
+ * (NODE_ENV=production) startup fails with it. Elsewhere each problem is
+ * logged as a warning at startup (entry.server.jsx) and the setting falls
+ * back to its default, so a partial .env still runs locally; /readyz reports
+ * them too (missingConfig, the unset required variables, as not ready).
+ * Malformed encryption keys are passed through as they are, and
+ * encryption.server.js refuses them: falling back would store tokens
+ * unencrypted.
+ *
+ * This module can't log (the logger reads its settings from here), and
+ * messages never include the value of a secret.
+ * ============================================================================
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+const isProduction = process.env.NODE_ENV === "production";
+
+/** Problems found while reading the environment, in the order found. */
+const problems = [];
+
+/** Required variables that aren't set (each also has a problem in problems). */
+const missing = [];
+
+/** Access scope names, e.g. read_orders or unauthenticated_read_product_listings. */
+const SCOPE_PATTERN = /^(unauthenticated_|customer_)?(read|write)_[a-z_]+$/;
+
+/** Host names, e.g. shops.example.com. */
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/;
+
+/** The Shopify CLI's app configuration, holding the scopes Shopify grants. */
+const APP_TOML_FILE = "shopify.app.toml";
+
+// ============================================================================
+// Readers
+// ============================================================================
+
+/**
+ * A variable's trimmed value, or null if it's unset or blank.
+ *
+ * @param {string} name
+ * @returns {string | null}
+ */
+function read(name) {
+  const value = process.env[name]?.trim();
+  return value ? value : null;
+}
+
+/**
+ * @param {string} name
+ * @param {{required?: boolean, fallback?: string | null}} [options]
+ * @returns {string | null}
+ */
+function string(name, { required = false, fallback = null } = {}) {
+  const value = read(name);
+  if (value === null && required) {
+    problems.push(`${name} is required`);
+    missing.push(name);
+  }
+  return value ?? fallback;
+}
+
+/**
+ * An http(s) URL, without a trailing slash.
+ *
+ * @param {string} name
+ * @param {{required?: boolean, fallback?: string | null, httpsOnly?: boolean}} [options]
+ * @returns {string | null}
+ */
+function url(name, { required = false, fallback = null, httpsOnly = false } = {}) {
+  const value = string(name, { required });
+  if (value === null) return fallback;
+
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch {
+    problems.push(`${name} is not a URL`);
+    return fallback;
+  }
+  const protocols = httpsOnly ? ["https:"] : ["https:", "http:"];
+  if (!protocols.includes(parsed.protocol)) {
+    problems.push(`${name} must be an ${httpsOnly ? "https" : "http(s)"} URL`);
+    return fallback;
+  }
+  return value.replace(/\/+$/, "");
+}
+
+/**
+ * A number, by default a whole one.
+ *
+ * @param {string} name
+ * @param {number} fallback
+ * @param {{min?: number, max?: number, integer?: boolean}} [options]
+ * @returns {number}
+ */
+function number(name, fallback, { min = 0, max = Infinity, integer = true } = {}) {
+  const value = read(name);
+  if (value === null) return fallback;
+
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || (integer && !Number.isInteger(parsed)) || parsed < min || parsed > max) {
+    const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+    problems.push(`${name} must be ${integer ? "a whole number" : "a number"} ${range}, got "${value}"`);
+    return fallback;
+  }
+  return parsed;
+}
+
+/**
+ * "true" or "false".
+ *
+ * @param {string} name
+ * @param {boolean} fallback
+ * @returns {boolean}
+ */
+function boolean(name, fallback) {
+  const value = read(name)?.toLowerCase() ?? null;
+  if (value === null) return fallback;
+  if (value !== "true" && value !== "false") {
+    problems.push(`${name} must be "true" or "false", got "${value}"`);
+    return fallback;
+  }
+  return value === "true";
+}
+
+/**
+ * One of a fixed set of values, compared case-insensitively.
+ *
+ * @template {string} T
+ * @param {string} name
+ * @param {T[]} values
+ * @param {T} fallback
+ * @returns {T}
+ */
+function oneOf(name, values, fallback) {
+  const value = read(name)?.toLowerCase() ?? null;
+  if (value === null) return fallback;
+  const match = values.find((candidate) => candidate === value);
+  if (!match) {
+    problems.push(`${name} must be one of ${values.join(", ")}, got "${value}"`);
+    return fallback;
+  }
+  return match;
+}
+
+/**
+ * A comma-separated list.
+ *
+ * @param {string} name
+ * @returns {string[]}
+ */
+function list(name) {
+  return (read(name) || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * An AES-256 master key: 32 bytes, base64-encoded. Returned even when
+ * malformed, see the header.
+ *
+ * @param {string} name
+ * @param {string} value
+ * @returns {string}
+ */
+function checkKey(name, value) {
+  if (Buffer.from(value, "base64").length !== 32) {
+    problems.push(`${name} must be 32 random bytes, base64-encoded (generate one with: openssl rand -base64 32)`);
+  }
+  return value;
+}
+
+// ============================================================================
+// Scopes
+// ============================================================================
+
+/**
+ * The access scopes in shopify.app.toml, or null if the file isn't there
+ * (it is copied into the container, but may be missing elsewhere).
+ *
+ * @returns {string[] | null}
+ */
+function appTomlScopes() {
+  let text;
+  try {
+    text = fs.readFileSync(path.resolve(APP_TOML_FILE), "utf8");
+  } catch {
+    return null;
+  }
+  const section = text.split(/^\s*\[access_scopes\]\s*$/m)[1]?.split(/^\s*\[/m)[0] ?? "";
+  const match = section.match(/^\s*scopes\s*=\s*"([^"]*)"/m);
+  if (!match) {
+    problems.push(`${APP_TOML_FILE} has no access_scopes.scopes to check SCOPES against`);
+    return null;
+  }
+  return match[1].split(",").map((scope) => scope.trim()).filter(Boolean);
+}
+
+/**
+ * SCOPES, checked for well-formed names and against shopify.app.toml: Shopify
+ * grants the toml's scopes, and asking for others sends merchants back
+ * through OAuth on every load.
+ *
+ * @returns {string[]}
+ */
+function scopes() {
+  const value = list("SCOPES");
+  if (value.length === 0) {
+    problems.push("SCOPES is required");
+    missing.push("SCOPES");
+    return value;
+  }
+  const invalid = value.filter((scope) => !SCOPE_PATTERN.test(scope));
+  if (invalid.length > 0) {
+    problems.push(`SCOPES has entries that aren't access scopes: ${invalid.join(", ")}`);
+  }
+
+  const declared = appTomlScopes();
+  if (declared) {
+    const missing = declared.filter((scope) => !value.includes(scope));
+    const extra = value.filter((scope) => !declared.includes(scope));
+    if (missing.length > 0 || extra.length > 0) {
+      const details = [
+        missing.length > 0 ? `missing ${missing.join(", ")}` : null,
+        extra.length > 0 ? `not in the toml: ${extra.join(", ")}` : null,
+      ].filter(Boolean);
+      problems.push(`SCOPES doesn't match access_scopes in ${APP_TOML_FILE} (${details.join("; ")})`);
+    }
+  }
+  return value;
+}
+
+/**
+ * SHOP_CUSTOM_DOMAIN, a bare host name like shops.example.com.
+ *
+ * @returns {string | null}
+ */
+function customShopDomain() {
+  const value = read("SHOP_CUSTOM_DOMAIN")?.toLowerCase() ?? null;
+  if (value !== null && !HOSTNAME_PATTERN.test(value)) {
+    problems.push(`SHOP_CUSTOM_DOMAIN must be a host name like shops.example.com, got "${value}"`);
+    return null;
+  }
+  return value;
+}
+
+/**
+ * WYLTO_EMBED_TOKEN_URL: unset embeds Wylto's token page, "off" (or empty)
+ * shows a plain link instead, anything else must be an https URL to embed.
+ *
+ * @returns {string} "" when embedding is off
+ */
+function embedTokenUrl() {
+  const fallback = "https://app.wylto.com/api-token";
+  if (process.env.WYLTO_EMBED_TOKEN_URL === undefined) return fallback;
+  const value = read("WYLTO_EMBED_TOKEN_URL");
+  if (value === null || value.toLowerCase() === "off") return "";
+  return url("WYLTO_EMBED_TOKEN_URL", { fallback, httpsOnly: true }) ?? fallback;
+}
+
+/**
+ * WYLTO_SESSION_STORAGE. In production only "postgresql" is accepted: the
+ * file and memory adapters keep sessions in one instance. The name is
+ * checked against the registered adapters in session-storage.server.js.
+ *
+ * @returns {string}
+ */
+function sessionStorageAdapter() {
+  const value = read("WYLTO_SESSION_STORAGE") || (isProduction ? "postgresql" : "file");
+  if (isProduction && value !== "postgresql") {
+    problems.push(
+      `WYLTO_SESSION_STORAGE=${value} keeps sessions on one instance; use "postgresql" in production`,
+    );
+  }
+  return value;
+}
+
+// ============================================================================
+// Settings
+// ============================================================================
+
+const testMode = boolean("WYLTO_TEST_MODE", false);
+const encryptionKey = string("WYLTO_SESSION_ENCRYPTION_KEY", { required: isProduction });
+const sessionAdapter = sessionStorageAdapter();
+
+/**
+ * The app's settings. Durations are in the unit their name ends in.
+ */
+export const config = Object.freeze({
+  isProduction,
+
+  shopify: Object.freeze({
+    apiKey: string("SHOPIFY_API_KEY", { required: true, fallback: "" }),
+    apiSecret: string("SHOPIFY_API_SECRET", { required: true, fallback: "" }),
+    appUrl: url("SHOPIFY_APP_URL", { required: true, fallback: "", httpsOnly: isProduction }),
+    scopes: Object.freeze(scopes()),
+    customShopDomain: customShopDomain(),
+  }),
+
+  wylto: Object.freeze({
+    apiBaseUrl: url("WYLTO_API_BASE_URL", { fallback: "https://server.wylto.com" }),
+    apiToken: string("WYLTO_API_TOKEN", { required: !testMode, fallback: "" }),
+    apiTimeoutMs: number("WYLTO_API_TIMEOUT", 30000, { min: 1 }),
+    apiRetries: number("WYLTO_API_RETRIES", 2),
+    apiRetryBaseMs: number("WYLTO_API_RETRY_BASE_MS", 250),
+    breakerThreshold: number("WYLTO_BREAKER_THRESHOLD", 5, { min: 1 }),
+    breakerResetMs: number("WYLTO_BREAKER_RESET_MS", 30000),
+    cacheTtlMs: number("WYLTO_CACHE_TTL_MS", 30000),
+    cacheMaxAgeMs: number("WYLTO_CACHE_MAX_AGE_MS", 600000), // 10 minutes
+    embedTokenUrl: embedTokenUrl(),
+    testMode,
+  }),
+
+  fakeWylto: Object.freeze({
+    latencyMs: number("WYLTO_FAKE_LATENCY_MS", 0),
+    failureRate: number("WYLTO_FAKE_FAILURE_RATE", 0, { max: 1, integer: false }),
+    approvalMs: number("WYLTO_FAKE_APPROVAL_MS", 60000),
+  }),
+
+  outbox: Object.freeze({
+    webhookTimeoutMs: number("WYLTO_WEBHOOK_TIMEOUT", 10000, { min: 1 }),
+    maxAttempts: number("WYLTO_OUTBOX_MAX_ATTEMPTS", 12, { min: 1 }),
+    retryBaseMs: number("WYLTO_OUTBOX_RETRY_BASE_MS", 5000, { min: 1 }),
+    retryMaxMs: number("WYLTO_OUTBOX_RETRY_MAX_MS", 3600000, { min: 1 }), // 1 hour
+    credentialWaitMs: number("WYLTO_OUTBOX_CREDENTIAL_WAIT_MS", 86400000), // 1 day
+    pollIntervalMs: number("WYLTO_OUTBOX_POLL_INTERVAL", 5000, { min: 1 }),
+  }),
+
+  storage: Object.freeze({
+    dataDir: path.resolve(read("WYLTO_DATA_DIR") || "data"),
+    sessionStorage: sessionAdapter,
+    sessionDatabaseUrl: string("WYLTO_SESSION_DATABASE_URL", {
+      required: sessionAdapter === "postgresql",
+      fallback: "",
+    }),
+  }),
+
+  encryption: Object.freeze({
+    key: encryptionKey && checkKey("WYLTO_SESSION_ENCRYPTION_KEY", encryptionKey),
+    previousKeys: Object.freeze(
+      list("WYLTO_SESSION_ENCRYPTION_PREVIOUS_KEYS").map((key) =>
+        checkKey("WYLTO_SESSION_ENCRYPTION_PREVIOUS_KEYS", key),
+      ),
+    ),
+  }),
+
+  retention: Object.freeze({
+    webhookDedupHours: number("WYLTO_WEBHOOK_DEDUP_RETENTION_HOURS", 48, { integer: false }),
+    orderStateDays: number("WYLTO_ORDER_STATE_RETENTION_DAYS", 90, { integer: false }),
+    shipmentStateDays: number("WYLTO_SHIPMENT_STATE_RETENTION_DAYS", 90, { integer: false }),
+    uninstallGraceDays: number("WYLTO_UNINSTALL_GRACE_DAYS", 7, { integer: false }),
+  }),
+
+  abandonedCartDelayMinutes: number("WYLTO_ABANDONED_CART_DELAY_MINUTES", 60, { integer: false }),
+
+  log: Object.freeze({
+    level: oneOf("WYLTO_LOG_LEVEL", ["debug", "info", "warn", "error"], "info"),
+    format: oneOf("WYLTO_LOG_FORMAT", ["json", "pretty"], isProduction ? "json" : "pretty"),
+  }),
+
+  readiness: Object.freeze({
+    timeoutMs: number("WYLTO_READYZ_TIMEOUT_MS", 3000, { min: 1 }),
+    outboxMaxAgeMs: number("WYLTO_READYZ_OUTBOX_MAX_AGE_MS", 900000), // 15 minutes
+  }),
+});
+
+/** Everything wrong with the environment, one sentence each. */
+export const configProblems = Object.freeze([...problems]);
+
+/** The required variables among them that aren't set, by name. */
+export const missingConfig = Object.freeze([...missing]);
+
+if (isProduction && configProblems.length > 0) {
+  throw new Error(
+    `Invalid configuration, not starting:\n${configProblems.map((problem) => `  - ${problem}`).join("\n")}`,
+  );
+}
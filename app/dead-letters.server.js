@@ -0,0 +1,118 @@
+/**
+ * ============================================================================
+ * Webhook Dead-Letter Store
+ * ============================================================================
+ *
+ * Webhook events that ran out of delivery attempts in the outbox end up here,
+ * with the topic, shop, last error and attempt count, until someone replays
+ * or discards them from the Failed deliveries page (app.deliveries.jsx).
+ *
+ * Replaying lives in outbox.server.js, next to the forwarding code.
+ *
+ * Entry shape:
+ *   { id, shop, topic, webhookId, payload, attempts, createdAt, failedAt,
+ *     lastAttemptAt, lastStatus, lastError }
+ * ============================================================================
+ */
+
+import { openCollection } from "./storage.server";
+
+const deadLetters = openCollection("dead-letters");
+
+/**
+ * Stores an exhausted outbox entry as a dead letter.
+ *
+ * @param {object} entry - Outbox entry with its final attempt recorded
+ * @returns {Promise<object>} The stored dead letter
+ */
+export async function addDeadLetter(entry) {
+  const deadLetter = {
+    id: entry.id,
+    shop: entry.shop,
+    topic: entry.topic,
+    webhookId: entry.webhookId,
+    payload: entry.payload,
+    attempts: entry.attempts,
+    createdAt: entry.createdAt,
+    failedAt: Date.now(),
+    lastAttemptAt: entry.lastAttemptAt,
+    lastStatus: entry.lastStatus,
+    lastError: entry.lastError,
+  };
+  await deadLetters.set(deadLetter.id, deadLetter);
+  return deadLetter;
+}
+
+/**
+ * Gets one dead letter.
+ *
+ * @param {string} id
+ * @returns {object | null}
+ */
+export function getDeadLetter(id) {
+  return deadLetters.get(id) || null;
+}
+
+/**
+ * Lists dead letters, newest failure first.
+ *
+ * @param {{shop?: string}} [filter] - Limit to one shop
+ * @returns {object[]}
+ */
+export function listDeadLetters({ shop } = {}) {
+  return deadLetters
+    .values()
+    .filter((d) => !shop || d.shop === shop)
+    .sort((a, b) => b.failedAt - a.failedAt);
+}
+
+/**
+ * Records another failed attempt (e.g. a replay that failed again).
+ *
+ * @param {string} id
+ * @param {{status: number, error?: string}} result - Forward result
+ * @returns {Promise<void>}
+ */
+export async function recordDeadLetterAttempt(id, result) {
+  const deadLetter = deadLetters.get(id);
+  if (!deadLetter) return;
+  const now = Date.now();
+  await deadLetters.set(id, {
+    ...deadLetter,
+    attempts: deadLetter.attempts + 1,
+    failedAt: now,
+    lastAttemptAt: now,
+    lastStatus: result.status,
+    lastError: result.error,
+  });
+}
+
+/**
+ * Removes a dead letter.
+ *
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export function removeDeadLetter(id) {
+  return deadLetters.delete(id);
+}
+
+/**
+ * Number of dead letters, optionally for one shop.
+ *
+ * @param {{shop?: string}} [filter]
+ * @returns {number}
+ */
+export function countDeadLetters({ shop } = {}) {
+  return shop ? listDeadLetters({ shop }).length : deadLetters.size;
+}
+
+/**
+ * Removes every dead letter for a shop.
+ *
+ * @param {string} shop
+ * @returns {Promise<number>} Number removed
+ */
+export function removeDeadLettersForShop(shop) {
+  return deadLetters.deleteWhere((d) => d.shop === shop);
+}
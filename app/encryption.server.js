@@ -0,0 +1,214 @@
+/**
+ * ============================================================================
+ * Envelope Encryption
+ * ============================================================================
+ *
+ * Encrypts secrets stored on disk (Shopify access tokens in the session
+ * store) with AES-256-GCM envelope encryption:
+ *
+ * - Each sealed value gets its own random data key, which encrypts the data.
+ * - The data key is itself encrypted ("wrapped") with the master key from
+ *   WYLTO_SESSION_ENCRYPTION_KEY.
+ *
+ * Rotating the master key only means re-wrapping each small data key, never
+ * touching the data itself: set the new key in WYLTO_SESSION_ENCRYPTION_KEY,
+ * move the old one to WYLTO_SESSION_ENCRYPTION_PREVIOUS_KEYS (comma-separated)
+ * and restart. Old envelopes stay readable, and the session store re-wraps
+ * them in the background (see reencryptSessions in session-storage.server.js).
+ * Once that has run, the previous key can be removed.
+ *
+ * Keys are 32 random bytes, base64-encoded: `openssl rand -base64 32`.
+ *
+ * In production (NODE_ENV=production) a missing key is a startup error
+ * (config.server.js), so tokens can never silently land on disk in plain text.
+ *
+ * Envelope shape:
+ *   { version, kid, wrappedKey: { iv, tag, data }, iv, tag, data }
+ *   kid identifies the master key (a hash prefix, never the key itself);
+ *   all binary fields are base64.
+ * ============================================================================
+ */
+
+import crypto from "node:crypto";
+import { config } from "./config.server";
+
+const ALGORITHM = "aes-256-gcm";
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const ENVELOPE_VERSION = 1;
+
+/**
+ * Decodes and checks a master key.
+ *
+ * @param {string} value - Base64 key
+ * @param {string} name - Environment variable it came from, for the error
+ * @returns {Buffer}
+ * @throws {Error} If the key isn't 32 bytes
+ */
+function parseKey(value, name) {
+  const key = Buffer.from(value.trim(), "base64");
+  if (key.length !== KEY_BYTES) {
+    throw new Error(
+      `${name} must be ${KEY_BYTES} random bytes, base64-encoded (generate one with: openssl rand -base64 32)`,
+    );
+  }
+  return key;
+}
+
+/**
+ * Short, stable identifier for a master key.
+ *
+ * @param {Buffer} key
+ * @returns {string}
+ */
+function keyId(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 12);
+}
+
+// config.server.js already refuses to start in production without a key
+const currentKey = config.encryption.key
+  ? parseKey(config.encryption.key, "WYLTO_SESSION_ENCRYPTION_KEY")
+  : null;
+
+const currentKeyId = currentKey ? keyId(currentKey) : null;
+
+/** Every master key that can unwrap, by key id. */
+const masterKeys = new Map();
+if (currentKey) masterKeys.set(currentKeyId, currentKey);
+for (const value of config.encryption.previousKeys) {
+  const key = parseKey(value, "WYLTO_SESSION_ENCRYPTION_PREVIOUS_KEYS");
+  masterKeys.set(keyId(key), key);
+}
+
+// ============================================================================
+// AES-GCM
+// ============================================================================
+
+/**
+ * @param {Buffer} key
+ * @param {Buffer} plaintext
+ * @param {string} [aad] - Additional authenticated data
+ * @returns {{iv: string, tag: string, data: string}}
+ */
+function encrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad, "utf8"));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+/**
+ * @param {Buffer} key
+ * @param {{iv: string, tag: string, data: string}} sealed
+ * @param {string} [aad] - Must match what it was encrypted with
+ * @returns {Buffer}
+ * @throws {Error} If the key is wrong or the data was tampered with
+ */
+function decrypt(key, { iv, tag, data }, aad) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, "base64"));
+  if (aad) decipher.setAAD(Buffer.from(aad, "utf8"));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]);
+}
+
+/**
+ * Unwraps an envelope's data key.
+ *
+ * @param {any} envelope
+ * @returns {Buffer}
+ * @throws {Error} If the master key it was wrapped with isn't configured
+ */
+function unwrapDataKey(envelope) {
+  const masterKey = masterKeys.get(envelope.kid);
+  if (!masterKey) {
+    throw new Error(
+      `Encryption key ${envelope.kid} is not configured (set it in WYLTO_SESSION_ENCRYPTION_PREVIOUS_KEYS)`,
+    );
+  }
+  return decrypt(masterKey, envelope.wrappedKey);
+}
+
+// ============================================================================
+// Envelopes
+// ============================================================================
+
+/**
+ * Whether a master key is configured. Without one, nothing can be sealed.
+ *
+ * @returns {boolean}
+ */
+export function isEncryptionConfigured() {
+  return currentKey !== null;
+}
+
+/**
+ * Id of the current master key, or null if none is configured.
+ *
+ * @returns {string | null}
+ */
+export function getCurrentKeyId() {
+  return currentKeyId;
+}
+
+/**
+ * Encrypts a JSON-serialisable value.
+ *
+ * @param {any} value
+ * @param {string} context - Bound to the ciphertext (e.g. the session id), so an
+ *   envelope copied onto another record fails to open
+ * @returns {object} Envelope
+ * @throws {Error} If no master key is configured
+ */
+export function seal(value, context) {
+  if (!currentKey) throw new Error("WYLTO_SESSION_ENCRYPTION_KEY is not set");
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  return {
+    version: ENVELOPE_VERSION,
+    kid: currentKeyId,
+    wrappedKey: encrypt(currentKey, dataKey),
+    ...encrypt(dataKey, Buffer.from(JSON.stringify(value), "utf8"), context),
+  };
+}
+
+/**
+ * Decrypts an envelope made by seal().
+ *
+ * @param {any} envelope
+ * @param {string} context - The context it was sealed with
+ * @returns {any}
+ * @throws {Error} If the key is unknown, or the envelope was tampered with or
+ *   belongs to another context
+ */
+export function unseal(envelope, context) {
+  const dataKey = unwrapDataKey(envelope);
+  return JSON.parse(decrypt(dataKey, envelope, context).toString("utf8"));
+}
+
+/**
+ * Whether an envelope is wrapped with a key other than the current one.
+ *
+ * @param {any} envelope
+ * @returns {boolean}
+ */
+export function needsRewrap(envelope) {
+  return currentKeyId !== null && envelope.kid !== currentKeyId;
+}
+
+/**
+ * Re-wraps an envelope's data key with the current master key. The encrypted
+ * data is left as it is.
+ *
+ * @param {any} envelope
+ * @returns {object} The re-wrapped envelope
+ * @throws {Error} If no master key is configured or the old key is unknown
+ */
+export function rewrap(envelope) {
+  if (!currentKey) throw new Error("WYLTO_SESSION_ENCRYPTION_KEY is not set");
+  const dataKey = unwrapDataKey(envelope);
+  return { ...envelope, kid: currentKeyId, wrappedKey: encrypt(currentKey, dataKey) };
+}
@@ -4,6 +4,30 @@ import { ServerRouter } from "react-router";
 import { createReadableStreamFromReadable } from "@react-router/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startOutboxWorker } from "./outbox.server";
+import { startAbandonedCartDetector } from "./abandoned-carts.server";
+import { startSessionReencryption } from "./session-storage.server";
+import { startRegistrationWorker } from "./store-registration.server";
+import { startOffboardingWorker } from "./offboarding.server";
+import { createLogger } from "./logger.server";
+import { configProblems } from "./config.server";
+
+const log = createLogger("Render");
+const configLog = createLogger("Config");
+
+// Settings that fell back to their default (in production these stop startup)
+for (const problem of configProblems) configLog.warn(problem);
+
+// Retry webhook forwards that were queued before this process started
+startOutboxWorker();
+// Re-arm abandoned-cart timers for checkouts still pending
+startAbandonedCartDetector();
+// Move stored tokens onto the current encryption key after a rotation
+startSessionReencryption();
+// Retry store registrations Wylto hasn't confirmed yet
+startRegistrationWorker();
+// Delete data of shops whose uninstall grace period has ended
+startOffboardingWorker();
 
 export const streamTimeout = 5000;
 
@@ -39,7 +63,7 @@ export default async function handleRequest(
         },
         onError(error) {
           responseStatusCode = 500;
-          console.error(error);
+          log.error("Render failed", { error });
         },
       },
     );
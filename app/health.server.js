@@ -0,0 +1,179 @@
+/**
+ * ============================================================================
+ * Health and Readiness
+ * ============================================================================
+ *
+ * What /healthz and /readyz report, for Cloud Run probes and uptime monitors.
+ *
+ * Liveness (/healthz) only says the process is serving requests. It checks
+ * no dependency: restarting the container doesn't fix a missing env var or
+ * a Wylto outage, it only drops the webhooks in flight.
+ *
+ * Readiness (/readyz) runs every check in READINESS_CHECKS, each bounded by
+ * WYLTO_READYZ_TIMEOUT_MS, and reports them all:
+ *   config   - every required variable is set; other problems
+ *              config.server.js found (which only fail startup in
+ *              production) are a "warn"
+ *   storage  - WYLTO_DATA_DIR is writable (outbox, sessions, shop state)
+ *   sessions - the session store answers a lookup
+ *   wylto    - Wylto answers over HTTP, and the circuit breaker isn't open
+ *   outbox   - the delivery worker runs and nothing has waited longer than
+ *              WYLTO_READYZ_OUTBOX_MAX_AGE_MS (events waiting for their
+ *              shop to connect only once past WYLTO_OUTBOX_CREDENTIAL_WAIT_MS)
+ *
+ * A check is "ok", "warn" or "fail". Only critical checks make the app not
+ * ready (503). Wylto and the outbox are not critical: while Wylto is down,
+ * webhooks wait in the outbox, and taking the instance out of service would
+ * make Shopify's deliveries fail instead. They show as "degraded".
+ * ============================================================================
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { getDataDir } from "./storage.server";
+import { sessionStorage } from "./session-storage.server";
+import { getOutboxStats } from "./outbox.server";
+import { wyltoClient } from "./wylto-client.server";
+import { createSwrCache } from "./swr-cache.server";
+import { config, configProblems, missingConfig } from "./config.server";
+
+/**
+ * Readiness Configuration
+ */
+const READYZ_TIMEOUT_MS = config.readiness.timeoutMs;
+const READYZ_OUTBOX_MAX_AGE_MS = config.readiness.outboxMaxAgeMs;
+
+/** How long a Wylto reachability result is reused, so probes don't call Wylto each time. */
+const WYLTO_PING_INTERVAL_MS = 30000;
+
+const pings = createSwrCache({ name: "readiness", ttl: WYLTO_PING_INTERVAL_MS, maxAge: WYLTO_PING_INTERVAL_MS });
+
+/**
+ * Whether Wylto answers HTTP at all. Any response counts, even an error
+ * status: this is about the network path, not about any endpoint.
+ *
+ * @returns {Promise<{reachable: boolean, httpStatus?: number, error?: string, checkedAt: number}>}
+ */
+async function pingWylto() {
+  try {
+    const response = await wyltoClient.fetch(`${wyltoClient.baseUrl}/`, {
+      method: "HEAD",
+      signal: AbortSignal.timeout(READYZ_TIMEOUT_MS),
+    });
+    return { reachable: true, httpStatus: response.status, checkedAt: Date.now() };
+  } catch (error) {
+    return { reachable: false, error: error.message, checkedAt: Date.now() };
+  }
+}
+
+/**
+ * Readiness checks by name. Each run() resolves with { status, ...detail }.
+ */
+const READINESS_CHECKS = {
+  config: {
+    critical: true,
+    async run() {
+      const status = missingConfig.length > 0 ? "fail" : configProblems.length > 0 ? "warn" : "ok";
+      return { status, missing: missingConfig, problems: configProblems };
+    },
+  },
+
+  storage: {
+    critical: true,
+    async run() {
+      const dataDir = getDataDir();
+      const probe = path.join(dataDir, `.readyz.${process.pid}.tmp`);
+      await fs.promises.mkdir(dataDir, { recursive: true });
+      await fs.promises.writeFile(probe, String(Date.now()));
+      await fs.promises.unlink(probe);
+      return { status: "ok", dataDir };
+    },
+  },
+
+  sessions: {
+    critical: true,
+    async run() {
+      await sessionStorage.loadSession("readyz-probe");
+      return { status: "ok", adapter: config.storage.sessionStorage };
+    },
+  },
+
+  wylto: {
+    critical: false,
+    async run() {
+      const circuit = wyltoClient.breaker.getState().state;
+      const ping = await pings.get("wylto", pingWylto);
+      return {
+        status: ping.reachable && circuit !== "open" ? "ok" : "warn",
+        testMode: wyltoClient.testMode,
+        circuit,
+        ...ping,
+      };
+    },
+  },
+
+  outbox: {
+    critical: false,
+    async run() {
+      const { pending, awaitingCredential, deadLetters, oldestPendingAt, worker } = getOutboxStats();
+      const oldestPendingAgeMs = oldestPendingAt === null ? null : Date.now() - oldestPendingAt;
+      const backedUp = oldestPendingAgeMs !== null && oldestPendingAgeMs > READYZ_OUTBOX_MAX_AGE_MS;
+      return {
+        status: backedUp || !worker.running ? "warn" : "ok",
+        workerRunning: worker.running,
+        pending,
+        awaitingCredential,
+        deadLetters,
+        oldestPendingAgeMs,
+      };
+    },
+  },
+};
+
+/**
+ * Runs one check, turning an error or a timeout into a "fail".
+ *
+ * @param {{critical: boolean, run: () => Promise<object>}} check
+ * @returns {Promise<object>}
+ */
+async function runCheck(check) {
+  const startedAt = Date.now();
+  let timer;
+  try {
+    const result = await Promise.race([
+      check.run(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${READYZ_TIMEOUT_MS}ms`)), READYZ_TIMEOUT_MS);
+      }),
+    ]);
+    return { ...result, critical: check.critical, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    return { status: "fail", critical: check.critical, durationMs: Date.now() - startedAt, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Liveness, for /healthz.
+ *
+ * @returns {{status: "ok", uptimeSeconds: number}}
+ */
+export function checkLiveness() {
+  return { status: "ok", uptimeSeconds: Math.round(process.uptime()) };
+}
+
+/**
+ * Readiness, for /readyz. Runs every check in parallel.
+ *
+ * @returns {Promise<{ready: boolean, status: "ok" | "degraded" | "unavailable", checks: Record<string, object>}>}
+ */
+export async function checkReadiness() {
+  const names = Object.keys(READINESS_CHECKS);
+  const results = await Promise.all(names.map((name) => runCheck(READINESS_CHECKS[name])));
+  const checks = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+
+  const ready = results.every((result) => !result.critical || result.status !== "fail");
+  const healthy = results.every((result) => result.status === "ok");
+  return { ready, status: !ready ? "unavailable" : healthy ? "ok" : "degraded", checks };
+}
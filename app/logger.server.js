@@ -0,0 +1,260 @@
+/**
+ * ============================================================================
+ * Logger
+ * ============================================================================
+ *
+ * Structured, secret-safe logging for every server module. Each module makes
+ * its own logger, named after its log component:
+ *
+ *   const log = createLogger("Outbox");
+ *   log.info("Delivered to Wylto", { shop, topic, status: 200 });
+ *
+ * A line is one JSON object on stdout (debug, info) or stderr (warn, error):
+ *
+ *   {"severity":"INFO","time":"...","component":"Outbox","message":"Delivered to Wylto",
+ *    "requestId":"...","shop":"...","topic":"...","status":200}
+ *
+ * severity and message are the fields Cloud Logging reads, so Cloud Run shows
+ * each line with its level. WYLTO_LOG_FORMAT=pretty prints
+ * "INFO  [Outbox] Delivered to Wylto {...}" instead, the default outside
+ * production. WYLTO_LOG_LEVEL (debug, info, warn, error; default info) sets
+ * the lowest level written.
+ *
+ * Request context: the root route's middleware (root.jsx) runs every request
+ * inside withRequestContext(), so every line logged while handling it
+ * carries the same requestId (the X-Cloud-Trace-Context trace id or
+ * X-Request-Id header when there is one). addLogContext() adds fields, such
+ * as the shop, for the rest of the request.
+ *
+ * Redaction: every message and field goes through redact() before it is
+ * written, so a careless log line can't leak:
+ * - secrets: any field named like a token, secret, password, API key,
+ *   authorization or cookie; Bearer credentials, Shopify access tokens and
+ *   the configured secret env values anywhere in a string;
+ * - customer PII: any field named like an email, phone number, address,
+ *   name or coordinates; email addresses and international phone numbers
+ *   anywhere in a string.
+ * Free-text addresses can't be recognized in a string, so log ids, not
+ * customer objects.
+ * ============================================================================
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import crypto from "node:crypto";
+import { config } from "./config.server";
+
+/**
+ * Logger Configuration
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[config.log.level];
+const LOG_FORMAT = config.log.format;
+
+const REDACTED = "[REDACTED]";
+
+/** Field names (lowercased, without _ and -) whose values are always redacted. */
+const SECRET_KEY_PARTS = ["token", "secret", "password", "apikey", "authorization", "cookie"];
+const PII_KEY_PARTS = [
+  "email",
+  "phone",
+  "address",
+  "street",
+  "zip",
+  "postal",
+  "firstname",
+  "lastname",
+  "fullname",
+  "customername",
+  "latitude",
+  "longitude",
+];
+
+/** Patterns redacted wherever they appear in a string. */
+const STRING_PATTERNS = [
+  [/Bearer\s+[\w.~+/=-]+/gi, `Bearer ${REDACTED}`],
+  [/\bshp(?:at|ca|pa|ss|ua)_[a-f0-9]{16,}\b/gi, REDACTED],
+  [/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, "[email]"],
+  [/\+\d[\d\s().-]{6,}\d/g, "[phone]"],
+];
+
+/** Configured secrets, never written wherever they turn up. */
+const secretValues = [
+  config.wylto.apiToken,
+  config.shopify.apiSecret,
+  config.encryption.key,
+  config.storage.sessionDatabaseUrl,
+  ...config.encryption.previousKeys,
+].filter((value) => value && value.length >= 8);
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Whether a field's value must be redacted, going by its name.
+ *
+ * @param {string} key
+ * @returns {"secret" | "pii" | null}
+ */
+function sensitiveKey(key) {
+  const normalized = key.toLowerCase().replace(/[_-]/g, "");
+  if (SECRET_KEY_PARTS.some((part) => normalized.includes(part))) return "secret";
+  if (PII_KEY_PARTS.some((part) => normalized.includes(part))) return "pii";
+  return null;
+}
+
+/**
+ * Redacts secrets and PII patterns in a string.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function redactString(value) {
+  let result = value;
+  for (const secret of secretValues) result = result.split(secret).join(REDACTED);
+  for (const [pattern, replacement] of STRING_PATTERNS) result = result.replace(pattern, replacement);
+  return result;
+}
+
+/**
+ * A copy of a value that is safe to log: sensitive fields redacted, strings
+ * scrubbed, errors reduced to name, message and stack.
+ *
+ * @param {unknown} value
+ * @param {number} [depth]
+ * @returns {unknown}
+ */
+export function redact(value, depth = 0) {
+  if (typeof value === "string") return redactString(value);
+  if (value === null || typeof value !== "object") return value;
+  if (depth > 6) return "[...]";
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message),
+      ...(value.type ? { type: value.type } : {}),
+      ...(value.status ? { status: value.status } : {}),
+      stack: value.stack ? redactString(value.stack) : undefined,
+      ...(value.cause ? { cause: redact(value.cause, depth + 1) } : {}),
+    };
+  }
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const kind = sensitiveKey(key);
+    result[key] =
+      kind && item !== null && item !== undefined && item !== ""
+        ? kind === "secret"
+          ? REDACTED
+          : "[pii]"
+        : redact(item, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * Writes one log line.
+ *
+ * @param {keyof LEVELS} level
+ * @param {string} component
+ * @param {string} message
+ * @param {object} fields
+ */
+function write(level, component, message, fields) {
+  if (LEVELS[level] < LOG_LEVEL) return;
+
+  const context = requestContext.getStore();
+  const entry = redact({ ...context, ...fields });
+  const text = redactString(String(message));
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (LOG_FORMAT === "pretty") {
+    const extra = Object.keys(entry).length > 0 ? ` ${JSON.stringify(entry)}` : "";
+    stream.write(`${level.toUpperCase().padEnd(5)} [${component}] ${text}${extra}\n`);
+    return;
+  }
+  stream.write(
+    `${JSON.stringify({
+      severity: level === "warn" ? "WARNING" : level.toUpperCase(),
+      time: new Date().toISOString(),
+      component,
+      message: text,
+      ...entry,
+    })}\n`,
+  );
+}
+
+/**
+ * Creates a module's logger.
+ *
+ * @param {string} component - Shown on every line, e.g. "Outbox"
+ * @param {object} [baseFields] - Fields added to every line
+ */
+export function createLogger(component, baseFields = {}) {
+  /**
+   * @param {keyof LEVELS} level
+   * @returns {(message: string, fields?: object) => void}
+   */
+  const at = (level) => (message, fields) => write(level, component, message, { ...baseFields, ...fields });
+
+  return {
+    debug: at("debug"),
+    info: at("info"),
+    warn: at("warn"),
+    error: at("error"),
+    /**
+     * A logger that adds fields to every line.
+     *
+     * @param {object} fields
+     */
+    child: (fields) => createLogger(component, { ...baseFields, ...fields }),
+  };
+}
+
+/**
+ * The request id to log a request under: Cloud Run's trace id, a caller's
+ * X-Request-Id, or a new one.
+ *
+ * @param {Request} request
+ * @returns {string}
+ */
+function requestIdFor(request) {
+  const trace = request.headers.get("X-Cloud-Trace-Context")?.split("/")[0];
+  const given = request.headers.get("X-Request-Id");
+  if (trace) return trace;
+  if (given && /^[\w.-]{1,128}$/.test(given)) return given;
+  return crypto.randomUUID();
+}
+
+/**
+ * Runs a request handler with a log context, so everything it logs carries
+ * the request's id.
+ *
+ * @template T
+ * @param {Request} request
+ * @param {() => Promise<T>} handler
+ * @returns {Promise<T>}
+ */
+export function withRequestContext(request, handler) {
+  return requestContext.run({ requestId: requestIdFor(request) }, handler);
+}
+
+/**
+ * Adds fields (such as the shop) to every line logged for the rest of the
+ * current request. Does nothing outside a request.
+ *
+ * @param {object} fields
+ */
+export function addLogContext(fields) {
+  const context = requestContext.getStore();
+  if (context) Object.assign(context, fields);
+}
+
+/**
+ * The current request's id, or null outside a request.
+ *
+ * @returns {string | null}
+ */
+export function currentRequestId() {
+  return requestContext.getStore()?.requestId ?? null;
+}
@@ -0,0 +1,363 @@
+/**
+ * ============================================================================
+ * Offboarding
+ * ============================================================================
+ *
+ * What happens to a shop's data when the app is uninstalled. app/uninstalled
+ * still forwards to Wylto; before that, this module:
+ *
+ * 1. Right away, runs IMMEDIATE_STEPS: deletes the shop's sessions (Shopify
+ *    has revoked the access token anyway), stops background work for the
+ *    shop (store registration retries, pending abandoned-cart timers) and
+ *    drops its scope check and cached Wylto data.
+ * 2. Schedules everything else the app keeps per shop (SHOP_DATA_COLLECTIONS:
+ *    queued and failed webhook events, webhook receipts, order, shipment and
+ *    checkout state, settings) for deletion after WYLTO_UNINSTALL_GRACE_DAYS,
+ *    so a merchant who reinstalls within that window finds their settings and
+ *    history intact. A reinstall (afterAuth) cancels the scheduled deletion.
+ * 3. shop/redact, which Shopify sends 48 hours after an uninstall that wasn't
+ *    undone, deletes the shop data at once, whatever is left of the grace
+ *    period — a redact request can't wait.
+ *
+ * The shop's Wylto credential goes last: once the data is deleted the
+ * offboarding is "draining" until the shop's outbox has no events left to
+ * deliver, so the events queued meanwhile (shop/redact itself) are still
+ * forwarded with it. The purge worker then deletes the credential, with any
+ * events that failed or were left waiting (AFTER_DRAIN_COLLECTIONS).
+ *
+ * Every step — what ran, when, and how many records it removed (or why it
+ * failed) — is appended to the offboarding record's audit trail. Records are
+ * kept after the data is gone, so the trail can be shown to Shopify reviewers
+ * (listOffboardings).
+ *
+ * Record shape (keyed by "<shop>:<uninstalledAt>", one per uninstall):
+ *   { id, shop, status, uninstalledAt, purgeAt, drainingSince, finishedAt, steps }
+ *   status is "scheduled", "cancelled" (reinstalled), "draining" (data
+ *   deleted, credential kept until the outbox drains) or "purged";
+ *   steps is [{ step, at, removed?, error? }], oldest first.
+ * ============================================================================
+ */
+
+import { openCollection } from "./storage.server";
+import { deleteShopSessions } from "./session-storage.server";
+import { removeStoreRegistration } from "./store-registration.server";
+import { removeScopeCheck } from "./scope-check.server";
+import { cancelShopCheckouts } from "./abandoned-carts.server";
+import { wyltoClient } from "./wylto-client.server";
+import { countPendingEntries } from "./outbox.server";
+import { deleteShopCredential } from "./shop-credentials.server";
+import { createLogger } from "./logger.server";
+import { config } from "./config.server";
+
+/**
+ * Offboarding Configuration
+ */
+const UNINSTALL_GRACE_DAYS = config.retention.uninstallGraceDays;
+const UNINSTALL_GRACE_MS = UNINSTALL_GRACE_DAYS * 24 * 60 * 60 * 1000;
+const PURGE_POLL_INTERVAL = 10 * 60 * 1000; // 10 minutes
+// Before the credential can go, so the event that started the purge (shop/redact) is queued first
+const DRAIN_MIN_MS = 60 * 1000; // 1 minute
+
+/**
+ * Run as soon as the app is uninstalled. Each returns how many records it
+ * removed, and must be safe to run again (Shopify redelivers the webhook if a
+ * step fails).
+ */
+const IMMEDIATE_STEPS = {
+  delete_sessions: (shop) => deleteShopSessions(shop),
+  stop_store_registration: async (shop) => ((await removeStoreRegistration(shop)) ? 1 : 0),
+  cancel_abandoned_carts: (shop) => cancelShopCheckouts(shop),
+  delete_scope_check: async (shop) => ((await removeScopeCheck(shop)) ? 1 : 0),
+  clear_wylto_cache: async (shop) => wyltoClient.invalidateShop(shop),
+};
+
+/**
+ * Collections holding per-shop data (every record has a shop field), deleted
+ * when the grace period ends.
+ */
+const SHOP_DATA_COLLECTIONS = [
+  "outbox",
+  "dead-letters",
+  "webhook-ids",
+  "orders",
+  "shipments",
+  "checkouts",
+  "shop-settings",
+];
+
+/**
+ * Deleted once the shop's outbox has drained, with the shop's Wylto
+ * credential (which the queued events are forwarded with): the events that
+ * failed or were left waiting since the rest of the data was deleted.
+ */
+const AFTER_DRAIN_COLLECTIONS = ["outbox", "dead-letters"];
+
+const offboardings = openCollection("offboarding");
+const log = createLogger("Offboarding");
+
+let workerTimer = null;
+
+/**
+ * The shop's offboarding whose data is deleted but whose outbox hasn't
+ * drained yet, if any.
+ *
+ * @param {string} shop
+ * @returns {object | undefined}
+ */
+function drainingOffboarding(shop) {
+  return offboardings.values().find((r) => r.shop === shop && r.status === "draining");
+}
+
+/**
+ * The shop's offboarding that is still waiting for its purge, if any.
+ *
+ * @param {string} shop
+ * @returns {object | undefined}
+ */
+function scheduledOffboarding(shop) {
+  return offboardings.values().find((r) => r.shop === shop && r.status === "scheduled");
+}
+
+/**
+ * Appends a step to an offboarding's audit trail.
+ *
+ * @param {string} id - Offboarding id
+ * @param {object} step - { step, removed? , error? }
+ * @param {object} [changes] - Other fields to update with it
+ * @returns {Promise<object>} The updated record
+ */
+async function recordStep(id, step, changes = {}) {
+  const record = offboardings.get(id);
+  const updated = {
+    ...record,
+    ...changes,
+    steps: [...record.steps, { ...step, at: Date.now() }],
+  };
+  await offboardings.set(id, updated);
+
+  const outcome = step.error
+    ? ` failed: ${step.error}`
+    : step.removed === undefined
+      ? ""
+      : ` removed ${step.removed}`;
+  log[step.error ? "warn" : "info"](`${record.shop} ${step.step}${outcome}`, { shop: record.shop });
+  return updated;
+}
+
+/**
+ * Deletes the shop's records from each collection, recording a step for each.
+ *
+ * @param {string} id - Offboarding id
+ * @param {string[]} names - Collection names
+ * @returns {Promise<boolean>} Whether every collection succeeded
+ */
+async function deleteShopData(id, names) {
+  const { shop } = offboardings.get(id);
+  let complete = true;
+
+  for (const name of names) {
+    try {
+      const removed = await openCollection(name).deleteWhere((record) => record.shop === shop);
+      await recordStep(id, { step: `delete_${name.replace(/-/g, "_")}`, removed });
+    } catch (error) {
+      complete = false;
+      await recordStep(id, { step: `delete_${name.replace(/-/g, "_")}`, error: error.message });
+    }
+  }
+  return complete;
+}
+
+/**
+ * Deletes the shop's records from every SHOP_DATA_COLLECTIONS collection and
+ * marks the offboarding draining: the credential waits for the outbox
+ * (finishPurge). A collection that fails is recorded and the offboarding
+ * stays scheduled, so the worker tries again.
+ *
+ * @param {string} id - Offboarding id
+ * @param {string} reason - Step name for the trail ("grace_period_ended", "shop_redact")
+ * @returns {Promise<boolean>} Whether everything was deleted
+ */
+async function purge(id, reason) {
+  const complete = await deleteShopData(id, SHOP_DATA_COLLECTIONS);
+  if (complete) {
+    await recordStep(id, { step: reason }, { status: "draining", drainingSince: Date.now() });
+  }
+  return complete;
+}
+
+/**
+ * Deletes the AFTER_DRAIN_COLLECTIONS records and the Wylto credential of a
+ * draining offboarding once the shop has no events left to deliver, and
+ * marks it purged.
+ *
+ * @param {string} id - Offboarding id
+ * @returns {Promise<boolean>} Whether the offboarding is now purged
+ */
+async function finishPurge(id) {
+  const { shop, drainingSince } = offboardings.get(id);
+  if (Date.now() - drainingSince < DRAIN_MIN_MS || countPendingEntries(shop) > 0) return false;
+
+  let complete = await deleteShopData(id, AFTER_DRAIN_COLLECTIONS);
+  try {
+    const removed = (await deleteShopCredential(shop)) ? 1 : 0;
+    await recordStep(id, { step: "delete_shop_credentials", removed });
+  } catch (error) {
+    complete = false;
+    await recordStep(id, { step: "delete_shop_credentials", error: error.message });
+  }
+  if (complete) {
+    await recordStep(id, { step: "outbox_drained" }, { status: "purged", finishedAt: Date.now() });
+  }
+  return complete;
+}
+
+/**
+ * Starts a shop's offboarding: runs IMMEDIATE_STEPS and schedules the rest of
+ * its data for deletion. A redelivered app/uninstalled reuses the offboarding
+ * already scheduled and re-runs the immediate steps.
+ *
+ * @param {string} shop
+ * @returns {Promise<object>} The offboarding record
+ * @throws {Error} If an immediate step failed (after recording it), so the
+ *   webhook is answered 500 and Shopify retries
+ */
+export async function startOffboarding(shop) {
+  let id = scheduledOffboarding(shop)?.id;
+  if (!id) {
+    const uninstalledAt = Date.now();
+    id = `${shop}:${uninstalledAt}`;
+    await offboardings.set(id, {
+      id,
+      shop,
+      status: "scheduled",
+      uninstalledAt,
+      purgeAt: uninstalledAt + UNINSTALL_GRACE_MS,
+      drainingSince: null,
+      finishedAt: null,
+      steps: [{ step: "uninstalled", at: uninstalledAt }],
+    });
+  }
+
+  let failed = null;
+  for (const [step, run] of Object.entries(IMMEDIATE_STEPS)) {
+    try {
+      await recordStep(id, { step, removed: await run(shop) });
+    } catch (error) {
+      failed = failed || error;
+      await recordStep(id, { step, error: error.message });
+    }
+  }
+  if (failed) throw failed;
+
+  const record = offboardings.get(id);
+  log.info(`${shop} data scheduled for deletion at ${new Date(record.purgeAt).toISOString()}`, { shop });
+  return record;
+}
+
+/**
+ * Cancels a shop's scheduled deletion because it reinstalled the app.
+ * Called from afterAuth; does nothing if nothing is scheduled. An
+ * offboarding already draining has deleted the data; it ends without
+ * deleting the credential, which reconnecting replaces.
+ *
+ * @param {string} shop
+ * @returns {Promise<boolean>} Whether a scheduled deletion was cancelled
+ */
+export async function cancelOffboarding(shop) {
+  const draining = drainingOffboarding(shop);
+  if (draining) {
+    await recordStep(draining.id, { step: "reinstalled" }, { status: "purged", finishedAt: Date.now() });
+  }
+  const record = scheduledOffboarding(shop);
+  if (!record) return false;
+  await recordStep(record.id, { step: "reinstalled" }, { status: "cancelled", finishedAt: Date.now() });
+  return true;
+}
+
+/**
+ * A shop's offboardings, most recent first: the audit trail.
+ *
+ * @param {{shop?: string}} [filter] - Limit to one shop
+ * @returns {object[]}
+ */
+export function listOffboardings({ shop } = {}) {
+  return offboardings
+    .values()
+    .filter((r) => !shop || r.shop === shop)
+    .sort((a, b) => b.uninstalledAt - a.uninstalledAt);
+}
+
+// ============================================================================
+// Pipeline hooks
+// ============================================================================
+
+/**
+ * app/uninstalled hook: starts the shop's offboarding. Leaves the payload as
+ * is.
+ *
+ * @param {any} payload
+ * @param {{shop: string}} context
+ */
+export async function offboardShopHook(payload, { shop }) {
+  await startOffboarding(shop);
+}
+
+/**
+ * shop/redact hook: deletes the shop's data now instead of waiting for the
+ * grace period (the credential once this event has been forwarded). Leaves
+ * the payload as is.
+ *
+ * @param {any} payload
+ * @param {{shop: string}} context
+ */
+export async function shopRedactHook(payload, { shop }) {
+  // A redelivery after the data was deleted has nothing left to do
+  if (drainingOffboarding(shop)) return;
+  const record = scheduledOffboarding(shop) || (await startOffboarding(shop));
+  if (!(await purge(record.id, "shop_redact"))) {
+    throw new Error(`Could not delete all data for ${shop}`);
+  }
+}
+
+// ============================================================================
+// Worker
+// ============================================================================
+
+/**
+ * Purges every shop whose grace period has ended, and finishes the purges
+ * whose outbox has drained.
+ *
+ * @returns {Promise<void>}
+ */
+export async function purgeExpiredShops() {
+  const now = Date.now();
+  const due = offboardings.values().filter((r) => r.status === "scheduled" && r.purgeAt <= now);
+  for (const { id, shop } of due) {
+    try {
+      await purge(id, "grace_period_ended");
+    } catch (error) {
+      log.error(`Error purging ${shop}`, { shop, error });
+    }
+  }
+
+  for (const { id, shop } of offboardings.values().filter((r) => r.status === "draining")) {
+    try {
+      await finishPurge(id);
+    } catch (error) {
+      log.error(`Error finishing the purge of ${shop}`, { shop, error });
+    }
+  }
+}
+
+/**
+ * Starts the background purge worker. Safe to call more than once. The timer
+ * is unref'd so it never keeps the process alive on its own.
+ */
+export function startOffboardingWorker() {
+  if (workerTimer) return;
+  const run = () =>
+    purgeExpiredShops().catch((error) => log.error("Purge pass failed", { error }));
+  workerTimer = setInterval(run, PURGE_POLL_INTERVAL);
+  workerTimer.unref?.();
+  setImmediate(run);
+}
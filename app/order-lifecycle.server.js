@@ -0,0 +1,243 @@
+/**
+ * ============================================================================
+ * Order Lifecycle
+ * ============================================================================
+ *
+ * orders/updated fires for every tag, note or metafield edit. This module
+ * keeps each order's canonical stage, derived from its financial, fulfillment
+ * and cancellation fields, so that only real stage changes are forwarded:
+ *
+ *   placed -> paid -> partially_fulfilled -> fulfilled
+ *   cancelled and refunded can follow any stage
+ *
+ * The hooks add orderStage and previousOrderStage to forwarded order
+ * payloads, and automationStatus when the stage has an automation on the
+ * Automations page ("created", "cancelled"). orders/create always carries
+ * automationStatus "created", whatever its stage: a prepaid order is already
+ * "paid" when it is created.
+ *
+ * An orders/updated that leaves the stage unchanged is dropped. orders/paid
+ * is always forwarded: it is the payment confirmation automations rely on,
+ * and most orders are already "paid" when orders/create or an orders/updated
+ * records them first.
+ *
+ * Updates that arrive out of order (an older updated_at than the last one
+ * applied) are dropped too, so a late delivery can't move an order backwards.
+ * An order seen for the first time on orders/updated (e.g. placed before the
+ * app was installed) is forwarded with previousOrderStage null.
+ *
+ * Record shape (keyed by "<shop>:<orderId>"):
+ *   { shop, orderId, stage, previousStage, webhookId, orderUpdatedAt, changedAt }
+ *   webhookId is the delivery that made the last change; a Shopify redelivery
+ *   of it (after we answered 500) re-emits that change rather than dropping it.
+ * ============================================================================
+ */
+
+import { openCollection } from "./storage.server";
+import { createLogger } from "./logger.server";
+import { config } from "./config.server";
+
+/**
+ * Order stages, in the order they are checked: the first whose test matches
+ * the order is its stage.
+ *
+ * automationStatus is the status key the Automations page (ORDER_STATUSES in
+ * app.automations.jsx) uses for the stage, if it has one.
+ */
+export const ORDER_STAGES = {
+  cancelled: {
+    label: "Cancelled",
+    automationStatus: "cancelled",
+    test: (order) => Boolean(order.cancelled_at),
+  },
+  refunded: {
+    label: "Refunded",
+    automationStatus: null,
+    test: (order) => order.financial_status === "refunded",
+  },
+  fulfilled: {
+    label: "Fulfilled",
+    automationStatus: null,
+    test: (order) => order.fulfillment_status === "fulfilled",
+  },
+  partially_fulfilled: {
+    label: "Partially fulfilled",
+    automationStatus: null,
+    test: (order) => order.fulfillment_status === "partial",
+  },
+  paid: {
+    label: "Paid",
+    automationStatus: null,
+    test: (order) =>
+      order.financial_status === "paid" || order.financial_status === "partially_refunded",
+  },
+  placed: {
+    label: "Placed",
+    automationStatus: "created",
+    test: () => true,
+  },
+};
+
+/**
+ * Order Lifecycle Configuration
+ */
+const ORDER_STATE_RETENTION_DAYS = config.retention.orderStateDays;
+const ORDER_STATE_RETENTION_MS = ORDER_STATE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+const orders = openCollection("orders");
+const log = createLogger("OrderLifecycle");
+
+let lastPrunedAt = 0;
+
+/**
+ * @param {string} shop
+ * @param {string | number} orderId
+ * @returns {string}
+ */
+function orderKey(shop, orderId) {
+  return `${shop}:${orderId}`;
+}
+
+/**
+ * Derives an order's canonical stage from its payload.
+ *
+ * @param {any} order - Order webhook payload
+ * @returns {string} A key of ORDER_STAGES
+ */
+export function deriveOrderStage(order) {
+  return Object.keys(ORDER_STAGES).find((stage) => ORDER_STAGES[stage].test(order));
+}
+
+/**
+ * Drops orders with no change for ORDER_STATE_RETENTION_DAYS. Runs at most
+ * once an hour.
+ *
+ * @returns {Promise<void>}
+ */
+async function pruneExpired() {
+  const now = Date.now();
+  if (now - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+  lastPrunedAt = now;
+  await orders.deleteWhere((record) => record.changedAt < now - ORDER_STATE_RETENTION_MS);
+}
+
+/**
+ * Payload to forward for a stage change.
+ *
+ * @param {any} order
+ * @param {string} stage
+ * @param {string | null} previousStage
+ * @returns {any}
+ */
+function withStage(order, stage, previousStage) {
+  const automationStatus = ORDER_STAGES[stage].automationStatus;
+  return {
+    ...order,
+    orderStage: stage,
+    previousOrderStage: previousStage,
+    ...(automationStatus ? { automationStatus } : {}),
+  };
+}
+
+/**
+ * Applies an order webhook to the order's stored stage.
+ *
+ * @param {string} shop
+ * @param {any} order - Order webhook payload
+ * @param {{webhookId?: string}} [delivery]
+ * @returns {Promise<{changed: boolean, stage: string, previousStage: string | null, reason?: string}>}
+ *   reason says why an unchanged result was not a change ("unchanged" or "out_of_order")
+ */
+export async function applyOrderUpdate(shop, order, { webhookId } = {}) {
+  const key = orderKey(shop, order.id);
+  const record = orders.get(key);
+  const stage = deriveOrderStage(order);
+
+  if (record && webhookId && record.webhookId === webhookId) {
+    // Redelivery of the webhook that made the last change
+    return { changed: true, stage: record.stage, previousStage: record.previousStage };
+  }
+
+  const orderUpdatedAt = Date.parse(order.updated_at) || null;
+  if (record?.orderUpdatedAt && orderUpdatedAt && orderUpdatedAt < record.orderUpdatedAt) {
+    return { changed: false, stage: record.stage, previousStage: record.previousStage, reason: "out_of_order" };
+  }
+  if (record && record.stage === stage) {
+    if (orderUpdatedAt && orderUpdatedAt > (record.orderUpdatedAt || 0)) {
+      await orders.set(key, { ...record, orderUpdatedAt });
+    }
+    return { changed: false, stage, previousStage: record.previousStage, reason: "unchanged" };
+  }
+
+  const previousStage = record?.stage || null;
+  await orders.set(key, {
+    shop,
+    orderId: order.id,
+    stage,
+    previousStage,
+    webhookId: webhookId || null,
+    orderUpdatedAt,
+    changedAt: Date.now(),
+  });
+
+  pruneExpired().catch((error) => {
+    log.error("Failed to prune order states", { error });
+  });
+  return { changed: true, stage, previousStage };
+}
+
+// ============================================================================
+// Pipeline hooks
+// ============================================================================
+
+/**
+ * orders/create hook: records the order's first stage and adds it to the
+ * payload, with automationStatus "created" whatever the stage, so the "Order
+ * placed" automation also fires for orders paid at checkout. Never drops the
+ * event.
+ *
+ * @param {any} payload - Order webhook payload
+ * @param {{shop: string, webhookId?: string}} context
+ * @returns {Promise<any>}
+ */
+export async function orderCreatedHook(payload, { shop, webhookId }) {
+  const { stage, previousStage } = await applyOrderUpdate(shop, payload, { webhookId });
+  return { ...withStage(payload, stage, previousStage), automationStatus: "created" };
+}
+
+/**
+ * orders/paid hook: records the order's stage and adds it to the payload.
+ * Never drops the event, even when the stage was already "paid".
+ *
+ * @param {any} payload - Order webhook payload
+ * @param {{shop: string, webhookId?: string}} context
+ * @returns {Promise<any>}
+ */
+export async function orderPaidHook(payload, { shop, webhookId }) {
+  const { stage, previousStage } = await applyOrderUpdate(shop, payload, { webhookId });
+  return withStage(payload, stage, previousStage);
+}
+
+/**
+ * orders/updated hook: forwards the event only when the order's stage
+ * changed.
+ *
+ * @param {any} payload - Order webhook payload
+ * @param {{shop: string, topic: string, webhookId?: string}} context
+ * @returns {Promise<any | null>} The payload with its stage, or null if the stage didn't change
+ */
+export async function orderStageHook(payload, { shop, topic, webhookId }) {
+  const { changed, stage, previousStage, reason } = await applyOrderUpdate(shop, payload, {
+    webhookId,
+  });
+  if (!changed) {
+    log.info(
+      `${topic} Order ID: ${payload.id} ` +
+        (reason === "out_of_order" ? "is older than the last update applied" : `still ${stage}`),
+    );
+    return null;
+  }
+  log.info(`Order ID: ${payload.id} ${previousStage || "(new)"} -> ${stage}`);
+  return withStage(payload, stage, previousStage);
+}
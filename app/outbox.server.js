@@ -0,0 +1,573 @@
+/**
+ * ============================================================================
+ * Webhook Outbox
+ * ============================================================================
+ *
+ * Durable queue of webhook events waiting to be delivered to Wylto.
+ *
+ * Every verified webhook is written here before Shopify gets its 200, so a
+ * Wylto outage or a restart no longer loses the event. The webhook route
+ * returns as soon as the entry is on disk; a worker running in this process
+ * delivers pending entries to /api/shopify/webhook and retries failures with
+ * exponential backoff. The worker's own latency (Wylto round trip, and time
+ * from receipt to delivery) is tracked in getOutboxStats().
+ *
+ * Delivered entries are removed; an entry that runs out of attempts moves to
+ * the dead-letter store, from where it can be replayed or discarded.
+ *
+ * Events for a shop without a usable Wylto credential (not linked, or its
+ * credential can't be decrypted) aren't sent with the app token instead: the
+ * entry waits, without using up attempts, until the shop connects
+ * (releaseShopEntries), checking again every WYLTO_OUTBOX_RETRY_MAX_MS. It
+ * waits WYLTO_OUTBOX_CREDENTIAL_WAIT_MS at most, so a shop that installs the
+ * app but never links it can't grow the outbox forever. Then it is dropped
+ * if Wylto hasn't linked the shop, or moved to the dead-letter store if its
+ * credential can't be read, so it can be replayed once that's fixed.
+ *
+ * Entry shape:
+ *   { id, shop, topic, webhookId, payload, attempts, createdAt,
+ *     lastAttemptAt, nextAttemptAt, lastStatus, lastError, awaitingCredential,
+ *     awaitingSince }
+ *   awaitingSince is when it started waiting for a credential, or null
+ * ============================================================================
+ */
+
+import crypto from "node:crypto";
+import { openCollection } from "./storage.server";
+import { createLogger } from "./logger.server";
+import { config } from "./config.server";
+import { WebhookDownstreamError } from "./webhook-errors.server";
+import { wyltoClient } from "./wylto-client.server";
+import { WyltoCircuitOpenError, WyltoError, WyltoNotConnectedError } from "./wylto-errors.server";
+import {
+  addDeadLetter,
+  getDeadLetter,
+  listDeadLetters,
+  recordDeadLetterAttempt,
+  removeDeadLetter,
+  countDeadLetters,
+} from "./dead-letters.server";
+
+/**
+ * Outbox Configuration
+ */
+const WYLTO_WEBHOOK_TIMEOUT = config.outbox.webhookTimeoutMs;
+const OUTBOX_MAX_ATTEMPTS = config.outbox.maxAttempts;
+const OUTBOX_RETRY_BASE_MS = config.outbox.retryBaseMs;
+const OUTBOX_RETRY_MAX_MS = config.outbox.retryMaxMs;
+const OUTBOX_POLL_INTERVAL = config.outbox.pollIntervalMs;
+const OUTBOX_CREDENTIAL_WAIT_MS = config.outbox.credentialWaitMs;
+
+const outbox = openCollection("outbox");
+const log = createLogger("Outbox");
+
+/** Deliveries currently running, by entry id, so an entry is never sent twice at once. */
+const inFlight = new Map();
+
+let workerTimer = null;
+let draining = null;
+let drainAgain = false;
+
+/** How many recent deliveries the latency figures are computed over. */
+const LATENCY_SAMPLES = 200;
+
+/** Worker delivery metrics since this process started. */
+const workerMetrics = {
+  attempts: 0,
+  succeeded: 0,
+  failed: 0,
+  lastSuccessAt: null,
+  lastFailureAt: null,
+  // Wylto round trip per attempt
+  forwardMs: [],
+  // Receipt of the webhook to successful delivery
+  queueMs: [],
+};
+
+// ============================================================================
+// Forwarding
+// ============================================================================
+
+/**
+ * Forwards a webhook event to Wylto's webhook endpoint, through WyltoClient
+ * with the shorter WYLTO_WEBHOOK_TIMEOUT.
+ *
+ * Never throws: network errors and timeouts come back as a failed result.
+ * When the client's circuit breaker refuses the call, or the shop has no
+ * usable credential (notConnected, the WyltoNotConnectedError reason), the
+ * event isn't sent: the result has notSent set, and retryAt says when to try
+ * again.
+ *
+ * @param {{shop: string, topic: string, payload: any}} event
+ * @returns {Promise<{success: boolean, status: number, error?: string, durationMs: number,
+ *   notSent?: boolean, notConnected?: "missing" | "unreadable", retryAt?: number}>}
+ */
+export async function forwardToWylto({ shop, topic, payload }) {
+  const startedAt = Date.now();
+  try {
+    const status = await wyltoClient.forwardWebhook(
+      { shop, topic, payload },
+      { timeout: WYLTO_WEBHOOK_TIMEOUT },
+    );
+    return { success: true, status, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    const result = {
+      success: false,
+      status: error instanceof WyltoError ? error.status : 0,
+      error: error.message || "Forward failed",
+      durationMs: Date.now() - startedAt,
+    };
+    if (error instanceof WyltoCircuitOpenError) {
+      // Not sent: the client's circuit breaker refused it
+      return { ...result, notSent: true, retryAt: error.retryAt ?? Date.now() + OUTBOX_RETRY_BASE_MS };
+    }
+    if (error instanceof WyltoNotConnectedError) {
+      // Not sent: the shop has no credential to send it with
+      return {
+        ...result,
+        notSent: true,
+        notConnected: error.reason,
+        retryAt: Date.now() + OUTBOX_RETRY_MAX_MS,
+      };
+    }
+    return result;
+  }
+}
+
+// ============================================================================
+// Queue
+// ============================================================================
+
+/**
+ * Delay before the next attempt: exponential from OUTBOX_RETRY_BASE_MS,
+ * capped at OUTBOX_RETRY_MAX_MS, with up to 20% jitter so a recovering Wylto
+ * isn't hit by every queued event at the same instant.
+ *
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(attempts) {
+  const exponential = Math.min(OUTBOX_RETRY_BASE_MS * 2 ** (attempts - 1), OUTBOX_RETRY_MAX_MS);
+  return Math.round(exponential * (1 + Math.random() * 0.2));
+}
+
+/**
+ * Writes a webhook event to the outbox. Resolves once the entry is on disk;
+ * rejects if it could not be persisted.
+ *
+ * @param {{shop: string, topic: string, webhookId?: string, payload: any}} event
+ * @returns {Promise<object>} The stored entry
+ */
+export async function enqueueWebhook({ shop, topic, webhookId, payload }) {
+  const now = Date.now();
+  const entry = {
+    id: crypto.randomUUID(),
+    shop,
+    topic,
+    webhookId: webhookId || null,
+    payload,
+    attempts: 0,
+    createdAt: now,
+    lastAttemptAt: null,
+    nextAttemptAt: now,
+    lastStatus: null,
+    lastError: null,
+    awaitingCredential: false,
+    awaitingSince: null,
+  };
+  await outbox.set(entry.id, entry);
+  return entry;
+}
+
+/**
+ * Makes one delivery attempt for an outbox entry and records the outcome:
+ * removed on success, rescheduled with backoff on failure, or moved to the
+ * dead-letter store once OUTBOX_MAX_ATTEMPTS is reached. While the Wylto
+ * circuit breaker is open the entry is held until it may close, and while
+ * the shop has no usable credential until it connects, for up to
+ * OUTBOX_CREDENTIAL_WAIT_MS (giveUpWaiting); neither counts as an attempt.
+ *
+ * If the entry is already being delivered, waits for that attempt instead of
+ * starting a second one.
+ *
+ * @param {string} id - Outbox entry id
+ * @returns {Promise<{success: boolean, status: number, error?: string, durationMs: number} | null>}
+ *   The forward result, or null if there is no such entry
+ */
+export function deliverOutboxEntry(id) {
+  if (inFlight.has(id)) return inFlight.get(id);
+
+  const entry = outbox.get(id);
+  if (!entry) return Promise.resolve(null);
+
+  const attempt = attemptDelivery(entry).finally(() => inFlight.delete(id));
+  inFlight.set(id, attempt);
+  return attempt;
+}
+
+/**
+ * @param {object} entry - Outbox entry
+ */
+async function attemptDelivery(entry) {
+  const result = await forwardToWylto(entry);
+
+  // Nothing was sent (the breaker refused it, or the shop isn't connected):
+  // wait without using up one of the entry's attempts
+  if (result.notSent) {
+    const awaitingSince = result.notConnected ? (entry.awaitingSince ?? Date.now()) : null;
+    if (awaitingSince !== null && Date.now() - awaitingSince >= OUTBOX_CREDENTIAL_WAIT_MS) {
+      await giveUpWaiting(entry, result);
+      return result;
+    }
+    await outbox.set(entry.id, {
+      ...entry,
+      nextAttemptAt:
+        awaitingSince === null
+          ? result.retryAt
+          : Math.min(result.retryAt, awaitingSince + OUTBOX_CREDENTIAL_WAIT_MS),
+      lastError: result.error,
+      awaitingCredential: awaitingSince !== null,
+      awaitingSince,
+    });
+    if (result.notConnected && !entry.awaitingCredential) {
+      log.warn(`${entry.topic} for ${entry.shop} held until the shop connects to Wylto`, {
+        shop: entry.shop,
+        topic: entry.topic,
+        error: result.error,
+      });
+    }
+    return result;
+  }
+
+  const attempts = entry.attempts + 1;
+  recordAttempt(entry, result);
+
+  if (result.success) {
+    await outbox.delete(entry.id);
+    log.info(`${entry.topic} for ${entry.shop} delivered to Wylto`, {
+      shop: entry.shop,
+      topic: entry.topic,
+      status: result.status,
+      attempt: attempts,
+      durationMs: result.durationMs,
+      queueMs: Date.now() - entry.createdAt,
+    });
+    return result;
+  }
+
+  const now = Date.now();
+  const updated = {
+    ...entry,
+    attempts,
+    awaitingCredential: false,
+    awaitingSince: null,
+    lastAttemptAt: now,
+    nextAttemptAt: now + retryDelay(attempts),
+    lastStatus: result.status,
+    lastError: result.error,
+  };
+
+  if (attempts >= OUTBOX_MAX_ATTEMPTS) {
+    // Write the dead letter before removing the entry, so a crash in between
+    // can at worst leave a duplicate, never lose the event
+    await addDeadLetter(updated);
+    await outbox.delete(entry.id);
+    log.error(`${entry.topic} for ${entry.shop} moved to dead letters after ${attempts} attempts`, {
+      shop: entry.shop,
+      topic: entry.topic,
+      error: result.error,
+    });
+    return result;
+  }
+
+  await outbox.set(entry.id, updated);
+  const failure = new WebhookDownstreamError(result.error, { upstreamStatus: result.status });
+  log[failure.level](
+    `${entry.topic} for ${entry.shop}: attempt ${attempts} failed, ` +
+      `retrying in ${Math.round((updated.nextAttemptAt - now) / 1000)}s`,
+    {
+      shop: entry.shop,
+      topic: entry.topic,
+      category: failure.category,
+      status: result.status,
+      error: failure.message,
+    },
+  );
+  return result;
+}
+
+/**
+ * Ends the wait of an entry whose shop still has no usable credential after
+ * OUTBOX_CREDENTIAL_WAIT_MS. Dropped if Wylto hasn't linked the shop (there
+ * is no account to deliver it to); moved to the dead-letter store if the
+ * shop's credential can't be read, so it can be replayed once that's fixed.
+ *
+ * @param {object} entry - Outbox entry
+ * @param {{error?: string, notConnected?: string}} result - The forward result
+ * @returns {Promise<void>}
+ */
+async function giveUpWaiting(entry, result) {
+  const waitedHours = Math.round((Date.now() - entry.awaitingSince) / 3600000);
+  if (result.notConnected === "unreadable") {
+    await addDeadLetter({ ...entry, lastError: result.error });
+    await outbox.delete(entry.id);
+    log.error(
+      `${entry.topic} for ${entry.shop} moved to dead letters after waiting ${waitedHours}h for a credential`,
+      { shop: entry.shop, topic: entry.topic, error: result.error },
+    );
+    return;
+  }
+  await outbox.delete(entry.id);
+  log.warn(`${entry.topic} for ${entry.shop} dropped: the shop didn't connect to Wylto within ${waitedHours}h`, {
+    shop: entry.shop,
+    topic: entry.topic,
+  });
+}
+
+// ============================================================================
+// Dead-letter replay
+// ============================================================================
+
+/**
+ * Replays a dead letter: one immediate delivery attempt. On success the dead
+ * letter is removed; on failure it stays, with the new error and attempt
+ * count recorded. A replay that wasn't sent (the circuit breaker refused it,
+ * or the shop isn't connected) isn't recorded as an attempt.
+ *
+ * @param {string} id - Dead letter id
+ * @param {{shop?: string}} [scope] - When set, only replay a dead letter belonging to this shop
+ * @returns {Promise<{success: boolean, status: number, error?: string, durationMs: number} | null>}
+ *   The forward result, or null if there is no such dead letter
+ */
+export async function replayDeadLetter(id, { shop } = {}) {
+  const deadLetter = getDeadLetter(id);
+  if (!deadLetter || (shop && deadLetter.shop !== shop)) return null;
+
+  const result = await forwardToWylto(deadLetter);
+  if (result.success) {
+    await removeDeadLetter(id);
+    log.info(`Dead letter ${deadLetter.topic} for ${deadLetter.shop} replayed`, {
+      shop: deadLetter.shop,
+      topic: deadLetter.topic,
+    });
+  } else if (result.notSent) {
+    log.warn(`Dead letter ${deadLetter.topic} for ${deadLetter.shop} not sent`, {
+      shop: deadLetter.shop,
+      topic: deadLetter.topic,
+      error: result.error,
+    });
+  } else {
+    await recordDeadLetterAttempt(id, result);
+    log.warn(`Dead letter ${deadLetter.topic} for ${deadLetter.shop} replay failed`, {
+      shop: deadLetter.shop,
+      topic: deadLetter.topic,
+      error: result.error,
+    });
+  }
+  return result;
+}
+
+/**
+ * Replays every dead letter for a shop, one at a time.
+ *
+ * @param {string} shop
+ * @returns {Promise<{replayed: number, failed: number}>}
+ */
+export async function replayAllDeadLetters(shop) {
+  let replayed = 0;
+  let failed = 0;
+  for (const deadLetter of listDeadLetters({ shop })) {
+    const result = await replayDeadLetter(deadLetter.id, { shop });
+    if (result?.success) replayed += 1;
+    else if (result) failed += 1;
+  }
+  return { replayed, failed };
+}
+
+// ============================================================================
+// Worker
+// ============================================================================
+
+/**
+ * Adds a value to a bounded sample list.
+ *
+ * @param {number[]} samples
+ * @param {number} value
+ */
+function addSample(samples, value) {
+  samples.push(value);
+  if (samples.length > LATENCY_SAMPLES) samples.shift();
+}
+
+/**
+ * Percentiles of a sample list.
+ *
+ * @param {number[]} samples
+ * @returns {{p50: number, p95: number, max: number, samples: number} | null}
+ */
+function summarize(samples) {
+  if (samples.length === 0) return null;
+  const sorted = [...samples].sort((a, b) => a - b);
+  const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  return { p50: at(0.5), p95: at(0.95), max: sorted[sorted.length - 1], samples: sorted.length };
+}
+
+/**
+ * Records a delivery attempt in the worker metrics.
+ *
+ * @param {object} entry - Outbox entry
+ * @param {{success: boolean, durationMs: number}} result - Forward result
+ */
+function recordAttempt(entry, result) {
+  const now = Date.now();
+  workerMetrics.attempts += 1;
+  addSample(workerMetrics.forwardMs, result.durationMs);
+  if (result.success) {
+    workerMetrics.succeeded += 1;
+    workerMetrics.lastSuccessAt = now;
+    addSample(workerMetrics.queueMs, now - entry.createdAt);
+  } else {
+    workerMetrics.failed += 1;
+    workerMetrics.lastFailureAt = now;
+  }
+}
+
+/**
+ * Delivers every pending entry whose retry time has come, oldest first.
+ * Concurrent calls share one pass; a call made during a pass causes one more
+ * pass afterwards, so newly queued entries aren't left for the next poll.
+ *
+ * @returns {Promise<void>}
+ */
+export function drainOutbox() {
+  if (draining) {
+    drainAgain = true;
+    return draining;
+  }
+  draining = (async () => {
+    do {
+      drainAgain = false;
+      const now = Date.now();
+      const due = outbox
+        .values()
+        .filter((e) => e.nextAttemptAt <= now)
+        .sort((a, b) => a.createdAt - b.createdAt);
+      for (const entry of due) {
+        try {
+          await deliverOutboxEntry(entry.id);
+        } catch (error) {
+          log.error(`Error delivering ${entry.id}`, { error });
+        }
+      }
+    } while (drainAgain);
+  })().finally(() => {
+    draining = null;
+  });
+  return draining;
+}
+
+/**
+ * Tells the worker a new entry is waiting, so it is delivered right away
+ * rather than on the next poll. Returns immediately.
+ */
+export function notifyOutbox() {
+  setImmediate(() => {
+    drainOutbox().catch((error) => log.error("Drain failed", { error }));
+  });
+}
+
+/**
+ * How many of a shop's entries are still to be delivered, not counting those
+ * waiting for a credential.
+ *
+ * @param {string} shop
+ * @returns {number}
+ */
+export function countPendingEntries(shop) {
+  return outbox.values().filter((e) => e.shop === shop && !e.awaitingCredential).length;
+}
+
+/**
+ * Makes a shop's entries that are waiting for a credential due now, e.g.
+ * once the shop has connected to Wylto, and wakes the worker.
+ *
+ * @param {string} shop
+ * @returns {Promise<number>} How many entries were released
+ */
+export async function releaseShopEntries(shop) {
+  const held = outbox.values().filter((e) => e.shop === shop && e.awaitingCredential);
+  const now = Date.now();
+  for (const entry of held) {
+    await outbox.set(entry.id, { ...entry, nextAttemptAt: now });
+  }
+  if (held.length > 0) notifyOutbox();
+  return held.length;
+}
+
+/**
+ * Starts the background delivery worker. Safe to call more than once.
+ *
+ * The timer is unref'd so it never keeps the process alive on its own.
+ * Note that on Cloud Run the worker only gets CPU between requests when the
+ * service has CPU always allocated.
+ */
+export function startOutboxWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(drainOutbox, OUTBOX_POLL_INTERVAL);
+  workerTimer.unref?.();
+  drainOutbox();
+}
+
+/**
+ * Outbox, dead-letter and worker figures, for diagnostics.
+ *
+ * forwardMs is the Wylto round trip per attempt; queueMs is the time from
+ * receiving the webhook to delivering it. Both cover the last
+ * LATENCY_SAMPLES deliveries and are separate from the webhook route's own
+ * response time, which no longer includes Wylto.
+ *
+ * Entries waiting for their shop to connect are counted in pending and
+ * awaitingCredential, but not in oldestPendingAt: they aren't late, until
+ * they have waited longer than OUTBOX_CREDENTIAL_WAIT_MS without the worker
+ * giving up on them.
+ *
+ * @returns {{
+ *   pending: number,
+ *   awaitingCredential: number,
+ *   deadLetters: number,
+ *   oldestPendingAt: number | null,
+ *   worker: {
+ *     running: boolean, attempts: number, succeeded: number, failed: number,
+ *     lastSuccessAt: number | null, lastFailureAt: number | null,
+ *     forwardMs: object | null, queueMs: object | null
+ *   }
+ * }}
+ */
+export function getOutboxStats() {
+  const now = Date.now();
+  let oldestPendingAt = null;
+  let awaitingCredential = 0;
+  for (const entry of outbox.values()) {
+    if (entry.awaitingCredential) awaitingCredential += 1;
+    const late = !entry.awaitingCredential || now - entry.awaitingSince > OUTBOX_CREDENTIAL_WAIT_MS;
+    if (late && (oldestPendingAt === null || entry.createdAt < oldestPendingAt)) {
+      oldestPendingAt = entry.createdAt;
+    }
+  }
+  return {
+    pending: outbox.size,
+    awaitingCredential,
+    deadLetters: countDeadLetters(),
+    oldestPendingAt,
+    worker: {
+      running: workerTimer !== null,
+      attempts: workerMetrics.attempts,
+      succeeded: workerMetrics.succeeded,
+      failed: workerMetrics.failed,
+      lastSuccessAt: workerMetrics.lastSuccessAt,
+      lastFailureAt: workerMetrics.lastFailureAt,
+      forwardMs: summarize(workerMetrics.forwardMs),
+      queueMs: summarize(workerMetrics.queueMs),
+    },
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * ============================================================================
+ * Payment Mode Classifier
+ * ============================================================================
+ *
+ * Decides whether an order is cash on delivery, so COD confirmation
+ * automations can key off one normalized field instead of gateway names.
+ * The orders/create hook adds it to the forwarded payload as
+ * paymentMode: "cod" | "prepaid".
+ *
+ * An order is "cod" when:
+ * - one of its payment_gateway_names (or the legacy gateway field) matches a
+ *   COD gateway — the built-in list below plus the shop's own names from
+ *   Settings — and
+ * - it isn't paid yet: financial_status is "pending" or "partially_paid"
+ *   (partial COD, where shipping is prepaid), or missing.
+ *
+ * Anything else is "prepaid", including a COD order the merchant already
+ * marked paid: there is no cash left to collect or confirm.
+ *
+ * Gateway names are compared case-insensitively with punctuation ignored, and
+ * a listed name also matches as a whole word inside a longer one — "COD"
+ * matches "Cash on Delivery (COD)" and "GoKwik COD", but not "Codashop".
+ * ============================================================================
+ */
+
+import { getShopSettings } from "./shop-settings.server";
+import { createLogger } from "./logger.server";
+
+const log = createLogger("PaymentMode");
+
+/** Gateway names every shop treats as cash on delivery. */
+export const DEFAULT_COD_GATEWAYS = [
+  "Cash on Delivery",
+  "COD",
+  "Pay on Delivery",
+  "Payment on Delivery",
+  "Collect on Delivery",
+];
+
+/** financial_status values that mean the cash is still to be collected. */
+const UNPAID_STATUSES = new Set(["pending", "partially_paid"]);
+
+/**
+ * "Cash on Delivery (COD)" -> "cash on delivery cod"
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeGatewayName(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Finds the first of the order's gateways that is a COD gateway.
+ *
+ * @param {string[]} gateways - Gateway names on the order
+ * @param {string[]} codGateways - Names to treat as COD
+ * @returns {string | null} The matching gateway name from the order
+ */
+export function findCodGateway(gateways, codGateways) {
+  const patterns = codGateways.map(normalizeGatewayName).filter(Boolean);
+  for (const gateway of gateways) {
+    const name = ` ${normalizeGatewayName(gateway)} `;
+    if (patterns.some((pattern) => name.includes(` ${pattern} `))) return gateway;
+  }
+  return null;
+}
+
+/**
+ * Classifies an order's payment mode.
+ *
+ * @param {any} order - Order webhook payload
+ * @param {{extraGateways?: string[]}} [options] - Shop-specific COD gateway names
+ * @returns {{paymentMode: "cod" | "prepaid", codGateway: string | null}}
+ *   codGateway is the gateway that matched, even when the order is already paid
+ */
+export function classifyPaymentMode(order, { extraGateways = [] } = {}) {
+  const gateways = [...(order.payment_gateway_names || []), order.gateway].filter(Boolean);
+  const codGateway = findCodGateway(gateways, [...DEFAULT_COD_GATEWAYS, ...extraGateways]);
+  const unpaid = !order.financial_status || UNPAID_STATUSES.has(order.financial_status);
+  return { paymentMode: codGateway && unpaid ? "cod" : "prepaid", codGateway };
+}
+
+/**
+ * orders/create hook: adds paymentMode to the forwarded payload, using the
+ * shop's extra COD gateways from Settings.
+ *
+ * @param {any} payload - Order webhook payload
+ * @param {{shop: string}} context
+ * @returns {any} The payload with paymentMode set
+ */
+export function paymentModeHook(payload, { shop }) {
+  const { codGateways } = getShopSettings(shop);
+  const { paymentMode, codGateway } = classifyPaymentMode(payload, { extraGateways: codGateways });
+  log.info(
+    `Order ID: ${payload.id} classified as ${paymentMode}` +
+      (codGateway ? ` (COD gateway "${codGateway}", financial_status ${payload.financial_status || "N/A"})` : ""),
+  );
+  return { ...payload, paymentMode };
+}
@@ -0,0 +1,63 @@
+/**
+ * ============================================================================
+ * PostgreSQL
+ * ============================================================================
+ *
+ * The database behind the postgresql session adapter
+ * (WYLTO_SESSION_DATABASE_URL), which holds everything every instance must
+ * see the same way: Shopify sessions (session-storage.server.js) and each
+ * shop's Wylto credential (shop-credentials.server.js). Collections under
+ * WYLTO_DATA_DIR are one instance's files, so they can't.
+ *
+ * One connection pool per database URL, shared by those tables. Each table
+ * is created the first time it's queried.
+ * ============================================================================
+ */
+
+import pg from "pg";
+import { createLogger } from "./logger.server";
+
+const log = createLogger("PostgreSQL");
+
+/** Connection pools by database URL. */
+const pools = new Map();
+
+/**
+ * The pool for a database, created on first use.
+ *
+ * @param {string} databaseUrl - postgres:// connection string
+ * @returns {import("pg").Pool}
+ */
+function getPool(databaseUrl) {
+  if (!pools.has(databaseUrl)) {
+    const pool = new pg.Pool({ connectionString: databaseUrl });
+    pool.on("error", (error) => log.error("PostgreSQL pool error", { error: error.message }));
+    pools.set(databaseUrl, pool);
+  }
+  return pools.get(databaseUrl);
+}
+
+/**
+ * A query function for one table, which creates the table (and anything
+ * else the schema statements declare) before its first query. If creating it
+ * fails, the next query tries again.
+ *
+ * @param {string} databaseUrl - postgres:// connection string
+ * @param {string} schema - CREATE ... IF NOT EXISTS statements for the table
+ * @returns {(text: string, values?: any[]) => Promise<any[]>} Resolves with the result rows
+ */
+export function openTable(databaseUrl, schema) {
+  const pool = getPool(databaseUrl);
+  let ready = null;
+
+  return async (text, values) => {
+    ready =
+      ready ||
+      pool.query(schema).catch((error) => {
+        ready = null; // try again on the next call
+        throw error;
+      });
+    await ready;
+    return (await pool.query(text, values)).rows;
+  };
+}
@@ -1,4 +1,23 @@
 import { Links, Meta, Outlet, Scripts, ScrollRestoration } from "react-router";
+import { currentRequestId, withRequestContext } from "./logger.server";
+
+/**
+ * Runs every request (pages, data requests, webhooks) in a log context, so
+ * each line logged while handling it carries the same requestId, and returns
+ * that id in X-Request-Id for support.
+ */
+export const middleware = [
+  ({ request }, next) =>
+    withRequestContext(request, async () => {
+      const response = await next();
+      try {
+        response.headers.set("X-Request-Id", currentRequestId());
+      } catch {
+        // Some responses (redirects) have immutable headers
+      }
+      return response;
+    }),
+];
 
 export default function App() {
   return (
@@ -3,7 +3,22 @@ import { useFetcher, useLoaderData, useRevalidator } from "react-router";
 import { useAppBridge } from "@shopify/app-bridge-react";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { authenticate } from "../shopify.server";
-import { connectToApp, checkConnectionStatus, saveAccessToken, disconnectFromApp } from "../wylto-connection.server";
+import {
+  connectToApp,
+  checkConnectionStatus,
+  disconnectFromApp,
+  wyltoLoaderError,
+} from "../wylto-connection.server";
+import { WyltoErrorBanner } from "../components/WyltoErrorBanner";
+import {
+  ensureStoreRegistration,
+  getStoreRegistration,
+  registerStore,
+} from "../store-registration.server";
+import { createLogger } from "../logger.server";
+import { config } from "../config.server";
+
+const log = createLogger("Home");
 
 /**
  * App Home Page - Wylto Account Connection
@@ -17,14 +32,14 @@ export const loader = async ({ request }) => {
   const shopDomain = session.shop;
 
   // Check connection status from Wylto backend
-  let connectionStatus = { connected: false };
-  try {
-    connectionStatus = await checkConnectionStatus(shopDomain);
-  } catch (error) {
-    console.error("Failed to check connection status:", error);
-  }
+  const connectionStatus = await checkConnectionStatus(shopDomain);
+
+  // Registration with Wylto (afterAuth's saveAccessToken). A shop with no
+  // record yet is queued, and the page shows it as not yet registered.
+  await ensureStoreRegistration(shopDomain);
 
-  // URL of the Wylto login / API-token view to embed in-admin.
+  // URL of the Wylto login / API-token view to embed in-admin, from
+  // WYLTO_EMBED_TOKEN_URL (see config.server.js).
   //   unset   -> embed the Wylto embedded token page (app.wylto.com/api-token).
   //   "off"   -> kill-switch: show the plain "Get your API token" link instead,
   //              env-only, no code redeploy — use if the iframe misbehaves.
@@ -32,23 +47,34 @@ export const loader = async ({ request }) => {
   // The page sends no X-Frame-Options / restrictive CSP, so it can be framed;
   // the remaining check is that login works without third-party cookies
   // (incognito), which must be verified on a real store.
-  // eslint-disable-next-line no-undef
-  const embedEnv = process.env.WYLTO_EMBED_TOKEN_URL;
-  const embedTokenUrl =
-    embedEnv == null
-      ? "https://app.wylto.com/api-token"
-      : embedEnv.trim().toLowerCase() === "off"
-        ? ""
-        : embedEnv;
+  const embedTokenUrl = config.wylto.embedTokenUrl;
 
   return {
     shopDomain,
     isConnected: connectionStatus.connected,
     connectionData: connectionStatus.data || null,
+    wyltoError: wyltoLoaderError(connectionStatus),
     embedTokenUrl,
+    registration: registrationSummary(shopDomain),
   };
 };
 
+/**
+ * What the page needs of the shop's registration record.
+ *
+ * @param {string} shopDomain
+ * @returns {{registered: boolean, attempts: number, lastError: string | null, nextAttemptAt: number | null}}
+ */
+function registrationSummary(shopDomain) {
+  const registration = getStoreRegistration(shopDomain);
+  return {
+    registered: registration?.status === "registered",
+    attempts: registration?.attempts || 0,
+    lastError: registration?.lastError || null,
+    nextAttemptAt: registration?.nextAttemptAt || null,
+  };
+}
+
 export const action = async ({ request }) => {
   const { session } = await authenticate.admin(request);
   const shopDomain = session.shop;
@@ -60,7 +86,8 @@ export const action = async ({ request }) => {
   // Test connection action - check status
   if (actionType === "test") {
     try {
-      const status = await checkConnectionStatus(shopDomain);
+      // The merchant asked for a check, so skip the cached status
+      const status = await checkConnectionStatus(shopDomain, { fresh: true });
       if (status.connected) {
         return {
           success: true,
@@ -94,13 +121,13 @@ export const action = async ({ request }) => {
     try {
       // First, ensure store is registered with Wylto (saveAccessToken)
       // This should have happened during OAuth, but if it failed, try again
-      console.log(`[Wylto API] Ensuring store ${shopDomain} is registered with Wylto...`);
-      const saveResult = await saveAccessToken(shopDomain, session.accessToken);
-      if (!saveResult.success) {
-        console.warn(`Failed to save access token: ${saveResult.error}`);
-        // Continue anyway - might already be registered
-      } else {
-        console.log(`Store ${shopDomain} registered with Wylto`);
+      if (getStoreRegistration(shopDomain)?.status !== "registered") {
+        log.info(`Ensuring store ${shopDomain} is registered with Wylto`);
+        const saveResult = await registerStore(shopDomain, session.accessToken);
+        if (!saveResult.success) {
+          log.warn(`Failed to save access token: ${saveResult.error}`);
+          // Continue anyway - might already be registered
+        }
       }
 
       // Now link the store to Wylto account
@@ -117,6 +144,7 @@ export const action = async ({ request }) => {
         success: true,
         message: "Store connected to Wylto successfully!",
         connectionData: result.data,
+        registration: registrationSummary(shopDomain),
       };
     } catch (error) {
       return {
@@ -126,6 +154,32 @@ export const action = async ({ request }) => {
     }
   }
 
+  // Register action - retry the store's registration with Wylto now, instead
+  // of waiting for the background retry
+  if (actionType === "register") {
+    try {
+      const result = await registerStore(shopDomain, session.accessToken);
+      if (!result.success) {
+        return {
+          success: false,
+          error: `Wylto hasn't confirmed the registration yet: ${result.error}. We'll keep retrying in the background.`,
+          registration: registrationSummary(shopDomain),
+        };
+      }
+
+      return {
+        success: true,
+        message: "Store registered with Wylto.",
+        registration: registrationSummary(shopDomain),
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message || "Failed to register store with Wylto.",
+      };
+    }
+  }
+
   // Disconnect action - un-link store from Wylto account (keeps app installed)
   if (actionType === "disconnect") {
     try {
@@ -279,6 +333,42 @@ function FeatureGrid() {
   );
 }
 
+const formatTime = (ms) =>
+  ms ? `${new Date(ms).toISOString().replace("T", " ").slice(0, 16)} UTC` : "—";
+
+/**
+ * Shown until Wylto confirms the store's registration (the access token saved
+ * at install). Retries also run in the background on their own.
+ */
+function RegistrationNotice({ registration, onRetry, loading }) {
+  if (registration.registered) return null;
+
+  return (
+    <s-section>
+      <s-box padding="base" borderWidth="base" borderRadius="base" background="critical-subdued">
+        <div style={{ fontWeight: 650, fontSize: "13.5px", color: "#1a1a1a", marginBottom: "4px" }}>
+          Store not yet registered with Wylto
+        </div>
+        <div style={{ fontSize: "13px", lineHeight: 1.5, color: "#616161" }}>
+          {registration.attempts === 0
+            ? "Registration is starting. Automatic messages begin once Wylto confirms it."
+            : `Wylto hasn't confirmed this store yet, so no messages are sent. We retry automatically (${registration.attempts} attempt${registration.attempts === 1 ? "" : "s"} so far, next ${formatTime(registration.nextAttemptAt)}).`}
+        </div>
+        {registration.lastError && (
+          <div style={{ fontSize: "12.5px", color: "#8a8a8a", marginTop: "6px" }}>
+            Last error: {registration.lastError}
+          </div>
+        )}
+        <div style={{ marginTop: "12px" }}>
+          <s-button onClick={onRetry} disabled={loading} loading={loading} variant="secondary">
+            Retry now
+          </s-button>
+        </div>
+      </s-box>
+    </s-section>
+  );
+}
+
 /**
  * Embeds the Wylto login / API-token view inside the Shopify admin, so the
  * merchant never leaves for an external tab (Shopify rule 2.2.2).
@@ -394,6 +484,14 @@ export default function WyltoConnection() {
     actionData?.success && actionMsg.includes("connected") && !actionMsg.includes("disconnected");
   const isConnected = justDisconnected ? false : loaderData.isConnected || justConnected;
   const connectionData = actionData?.connectionData ?? loaderData.connectionData;
+  const registration = actionData?.registration ?? loaderData.registration;
+  const registrationNotice = (
+    <RegistrationNotice
+      registration={registration}
+      onRetry={(e) => handleSubmit(e, "register")}
+      loading={isLoading && actionType === "register"}
+    />
+  );
 
   // If connected, show the connected view
   if (isConnected) {
@@ -403,6 +501,8 @@ export default function WyltoConnection() {
           <Hero connected shopDomain={loaderData.shopDomain} />
         </s-section>
 
+        {registrationNotice}
+
         <s-section heading="Connection">
           {connectionData && (
             <div style={{ display: "flex", flexWrap: "wrap", gap: "10px", marginBottom: "16px" }}>
@@ -480,6 +580,10 @@ export default function WyltoConnection() {
         <Hero connected={false} shopDomain={loaderData.shopDomain} />
       </s-section>
 
+      <WyltoErrorBanner error={loaderData.wyltoError} />
+
+      {registrationNotice}
+
       {/* Top Section: Connect Your Wylto Account */}
       <s-section heading="Connect Your Wylto Account">
         <s-paragraph>
@@ -8,7 +8,9 @@ import {
   getTemplates,
   getAutomations,
   saveAutomations,
+  wyltoLoaderError,
 } from "../wylto-connection.server";
+import { WyltoErrorBanner } from "../components/WyltoErrorBanner";
 
 /**
  * Automations page
@@ -19,8 +21,13 @@ import {
 
 // Order stages Wylto can react to. These keys are the ones the Shopify Order
 // Update trigger supports in Wylto — sending anything else is rejected with
-// "Unknown order status". Abandoned cart is deliberately absent: it is a
-// separate trigger in Wylto, not an order status.
+// "Unknown order status". The app sends the matching key as automationStatus
+// on the event that reaches each stage: "created" and "cancelled" come from
+// ORDER_STAGES in order-lifecycle.server.js, which only forwards real stage
+// changes, and "delivered" from SHIPMENT_EVENTS in shipment-status.server.js.
+// Abandoned cart is not an order status in Shopify: the app detects
+// it itself and sends a synthetic CHECKOUTS_ABANDONED event with
+// "abandonedCart" (see abandoned-carts.server.js).
 // `verified: false` marks a status whose key the backend has not confirmed.
 // Those are only sent when the merchant actually enables them, so an
 // unrecognised key can never break a save for someone not using that stage —
@@ -32,37 +39,26 @@ const ORDER_STATUSES = [
   { key: "abandonedCart", label: "Abandoned cart", verified: false },
 ];
 
-// Defensive field access — the get-templates response shape is still being
-// confirmed, so accept the likely field names with fallbacks.
-const templateId = (t) => t.id ?? t.templateId ?? t.name ?? t.templateName ?? "";
-const templateName = (t) => t.name ?? t.templateName ?? templateId(t);
-const templateStatus = (t) => (t.status ?? t.approvalStatus ?? "").toString().toUpperCase();
 // Only approved templates can actually send, so they are the only ones offered
-// here. A template awaiting Meta's approval comes back with no status.
-const isApproved = (t) => templateStatus(t) === "APPROVED";
+// here.
+const isApproved = (t) => t.status === "APPROVED";
 
 export const loader = async ({ request }) => {
   const { session } = await authenticate.admin(request);
   const shop = session.shop;
 
-  let connected = false;
-  let templates = [];
-  let automations = [];
+  const status = await checkConnectionStatus(shop);
+  const [tRes, aRes] = status.connected
+    ? await Promise.all([getTemplates(shop), getAutomations(shop)])
+    : [null, null];
 
-  try {
-    const status = await checkConnectionStatus(shop);
-    connected = status.connected === true;
-  } catch {
-    connected = false;
-  }
-
-  if (connected) {
-    const [tRes, aRes] = await Promise.all([getTemplates(shop), getAutomations(shop)]);
-    if (tRes.success) templates = tRes.templates;
-    if (aRes.success) automations = aRes.automations;
-  }
-
-  return { shop, connected, templates, automations };
+  return {
+    shop,
+    connected: status.connected,
+    templates: tRes?.success ? tRes.data : [],
+    automations: aRes?.success ? aRes.data : [],
+    wyltoError: wyltoLoaderError(status, tRes, aRes),
+  };
 };
 
 export const action = async ({ request }) => {
@@ -87,7 +83,7 @@ export const action = async ({ request }) => {
 };
 
 export default function Automations() {
-  const { connected, templates, automations } = useLoaderData();
+  const { connected, templates, automations, wyltoError } = useLoaderData();
   const fetcher = useFetcher();
   const shopify = useAppBridge();
 
@@ -96,12 +92,10 @@ export default function Automations() {
   // Build the initial per-status state from whatever the backend returned.
   const byStatus = {};
   for (const a of automations) {
-    if (a && a.status) {
-      byStatus[a.status] = {
-        enabled: a.enabled === true,
-        templateId: a.templateId ?? "",
-      };
-    }
+    byStatus[a.status] = {
+      enabled: a.enabled,
+      templateId: a.templateId ?? "",
+    };
   }
 
   const [rows, setRows] = useState(() =>
@@ -150,16 +144,20 @@ export default function Automations() {
   }, [fetcher.state, fetcher.data, shopify]);
 
   if (!connected) {
+    // A failed status check isn't "not connected": show what went wrong
     return (
       <s-page heading="Automations">
-        <s-section heading="Connect Wylto first">
-          <s-paragraph>
-            Connect your Wylto account on the Home page to set up automations.
-          </s-paragraph>
-          <s-link href="/app">
-            <s-button variant="primary">Go to Home</s-button>
-          </s-link>
-        </s-section>
+        <WyltoErrorBanner error={wyltoError} />
+        {!wyltoError && (
+          <s-section heading="Connect Wylto first">
+            <s-paragraph>
+              Connect your Wylto account on the Home page to set up automations.
+            </s-paragraph>
+            <s-link href="/app">
+              <s-button variant="primary">Go to Home</s-button>
+            </s-link>
+          </s-section>
+        )}
       </s-page>
     );
   }
@@ -169,6 +167,8 @@ export default function Automations() {
 
   return (
     <s-page heading="Automations">
+      <WyltoErrorBanner error={wyltoError} />
+
       <s-section heading="Order updates">
         <s-paragraph>
           Choose which WhatsApp template is sent at each stage of an order, and turn
@@ -235,8 +235,8 @@ export default function Automations() {
                 >
                   <option value="">Select a template…</option>
                   {approvedTemplates.map((t) => (
-                    <option key={templateId(t)} value={templateId(t)}>
-                      {templateName(t)}
+                    <option key={`${t.id}:${t.language}`} value={t.id}>
+                      {t.name}
                     </option>
                   ))}
                 </select>
@@ -0,0 +1,248 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import {
+  getDeadLetter,
+  listDeadLetters,
+  removeDeadLetter,
+  removeDeadLettersForShop,
+} from "../dead-letters.server";
+import { replayAllDeadLetters, replayDeadLetter } from "../outbox.server";
+
+/**
+ * Failed deliveries page
+ *
+ * Shows the shop's webhook events that could not be delivered to Wylto after
+ * every retry (the dead-letter store), and lets them be inspected, replayed
+ * one at a time or all at once, or discarded.
+ */
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  return { shop, deadLetters: listDeadLetters({ shop }) };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  const formData = await request.formData();
+  const actionType = formData.get("actionType")?.toString() || "";
+  const id = formData.get("id")?.toString() || "";
+
+  if (actionType === "replay") {
+    const result = await replayDeadLetter(id, { shop });
+    if (!result) return { success: false, error: "That delivery no longer exists." };
+    if (!result.success) {
+      return { success: false, error: `Replay failed: ${result.error || "unknown error"}` };
+    }
+    return { success: true, message: "Event delivered to Wylto." };
+  }
+
+  if (actionType === "replayAll") {
+    const { replayed, failed } = await replayAllDeadLetters(shop);
+    if (failed > 0) {
+      return {
+        success: false,
+        error: `${replayed} delivered, ${failed} still failing.`,
+      };
+    }
+    return { success: true, message: `${replayed} event${replayed === 1 ? "" : "s"} delivered to Wylto.` };
+  }
+
+  if (actionType === "discard") {
+    const deadLetter = getDeadLetter(id);
+    if (!deadLetter || deadLetter.shop !== shop) {
+      return { success: false, error: "That delivery no longer exists." };
+    }
+    await removeDeadLetter(id);
+    return { success: true, message: "Event discarded." };
+  }
+
+  if (actionType === "discardAll") {
+    const removed = await removeDeadLettersForShop(shop);
+    return { success: true, message: `${removed} event${removed === 1 ? "" : "s"} discarded.` };
+  }
+
+  return { success: false, error: "Invalid action." };
+};
+
+/** Timestamps are rendered in UTC so server and client markup match. */
+const formatTime = (ms) =>
+  ms ? `${new Date(ms).toISOString().replace("T", " ").slice(0, 16)} UTC` : "—";
+
+/** "ORDERS_CREATE" -> "orders/create", matching how topics appear in Shopify. */
+const formatTopic = (topic) => topic.toLowerCase().replace("_", "/");
+
+export default function Deliveries() {
+  const { deadLetters } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [expanded, setExpanded] = useState(null);
+
+  const busy = fetcher.state !== "idle";
+  const pending = fetcher.formData;
+  const isPending = (actionType, id) =>
+    busy &&
+    pending?.get("actionType") === actionType &&
+    (id === undefined || pending?.get("id") === id);
+
+  const submit = (actionType, id) => {
+    const formData = new FormData();
+    formData.append("actionType", actionType);
+    if (id) formData.append("id", id);
+    fetcher.submit(formData, { method: "POST" });
+  };
+
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data) return;
+    if (fetcher.data.success) {
+      shopify.toast.show(fetcher.data.message || "Done");
+    } else if (fetcher.data.error) {
+      shopify.toast.show(fetcher.data.error, { isError: true });
+    }
+  }, [fetcher.state, fetcher.data, shopify]);
+
+  return (
+    <s-page heading="Failed deliveries">
+      <s-section heading="Events Wylto didn't receive">
+        <s-paragraph>
+          Order, fulfillment and checkout events are retried automatically for several hours
+          when Wylto can&apos;t be reached. Events that still failed after every retry are
+          listed here. Replay them once the problem is fixed, or discard the ones you no
+          longer need.
+        </s-paragraph>
+
+        {deadLetters.length === 0 ? (
+          <s-box
+            padding="base"
+            borderWidth="base"
+            borderRadius="base"
+            background="success-subdued"
+            marginBlockStart="base"
+          >
+            <s-text tone="success">No failed deliveries. Every event has reached Wylto.</s-text>
+          </s-box>
+        ) : (
+          <>
+            <s-stack direction="inline" gap="base" marginBlockStart="base">
+              <s-button
+                variant="primary"
+                onClick={() => submit("replayAll")}
+                loading={isPending("replayAll")}
+                disabled={busy}
+              >
+                Replay all ({deadLetters.length})
+              </s-button>
+              <s-button
+                variant="secondary"
+                tone="critical"
+                onClick={() => submit("discardAll")}
+                loading={isPending("discardAll")}
+                disabled={busy}
+              >
+                Discard all
+              </s-button>
+            </s-stack>
+
+            <div style={{ marginTop: "16px", display: "flex", flexDirection: "column", gap: "10px" }}>
+              {deadLetters.map((d) => (
+                <div
+                  key={d.id}
+                  style={{
+                    border: "1px solid #e3e3e3",
+                    borderRadius: "12px",
+                    padding: "12px 16px",
+                    background: "#ffffff",
+                  }}
+                >
+                  <div
+                    style={{
+                      display: "flex",
+                      alignItems: "center",
+                      justifyContent: "space-between",
+                      gap: "16px",
+                      flexWrap: "wrap",
+                    }}
+                  >
+                    <div>
+                      <div style={{ fontWeight: 600, fontSize: "14px", color: "#1a1a1a" }}>
+                        {formatTopic(d.topic)}
+                      </div>
+                      <div style={{ fontSize: "12px", color: "#8a8a8a", marginTop: "2px" }}>
+                        Received {formatTime(d.createdAt)} · {d.attempts} attempt
+                        {d.attempts === 1 ? "" : "s"} · last tried {formatTime(d.lastAttemptAt)}
+                      </div>
+                      <div style={{ fontSize: "12.5px", color: "#b42318", marginTop: "4px" }}>
+                        {d.lastError || "Unknown error"}
+                      </div>
+                    </div>
+                    <s-stack direction="inline" gap="base">
+                      <s-button
+                        variant="tertiary"
+                        onClick={() => setExpanded(expanded === d.id ? null : d.id)}
+                      >
+                        {expanded === d.id ? "Hide details" : "Details"}
+                      </s-button>
+                      <s-button
+                        variant="secondary"
+                        onClick={() => submit("replay", d.id)}
+                        loading={isPending("replay", d.id)}
+                        disabled={busy}
+                      >
+                        Replay
+                      </s-button>
+                      <s-button
+                        variant="secondary"
+                        tone="critical"
+                        onClick={() => submit("discard", d.id)}
+                        loading={isPending("discard", d.id)}
+                        disabled={busy}
+                      >
+                        Discard
+                      </s-button>
+                    </s-stack>
+                  </div>
+
+                  {expanded === d.id && (
+                    <pre
+                      style={{
+                        marginTop: "12px",
+                        marginBottom: 0,
+                        padding: "12px",
+                        background: "#fafafa",
+                        border: "1px solid #e8e8e8",
+                        borderRadius: "8px",
+                        fontSize: "12px",
+                        maxHeight: "320px",
+                        overflow: "auto",
+                      }}
+                    >
+                      {JSON.stringify(
+                        {
+                          webhookId: d.webhookId,
+                          lastStatus: d.lastStatus,
+                          payload: d.payload,
+                        },
+                        null,
+                        2,
+                      )}
+                    </pre>
+                  )}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
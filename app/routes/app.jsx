@@ -1,17 +1,91 @@
-import { Outlet, useLoaderData, useRouteError } from "react-router";
+import { Outlet, useFetcher, useLoaderData, useRouteError } from "react-router";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { AppProvider } from "@shopify/shopify-app-react-router/react";
 import { authenticate } from "../shopify.server";
+import { SCOPE_FEATURES, recordScopeCheck } from "../scope-check.server";
+import { createLogger } from "../logger.server";
+import { config } from "../config.server";
+
+const log = createLogger("Scopes");
 
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
+
+  // Catch scope drift on every admin page (see scope-check.server.js)
+  let scopeCheck = { missingScopes: [], degradedFeatures: [] };
+  try {
+    scopeCheck = await recordScopeCheck(session.shop, session.scope, "page_load");
+  } catch (error) {
+    log.error("Failed to check access scopes", { error });
+  }
 
-  // eslint-disable-next-line no-undef
-  return { apiKey: process.env.SHOPIFY_API_KEY || "" };
+  return {
+    apiKey: config.shopify.apiKey,
+    missingScopes: scopeCheck.missingScopes,
+    degradedFeatures: scopeCheck.degradedFeatures.map((key) => ({
+      key,
+      label: SCOPE_FEATURES[key].label,
+      impact: SCOPE_FEATURES[key].impact,
+    })),
+  };
 };
 
+/* eslint-disable react/prop-types -- local presentational helper */
+
+/**
+ * Lists the automations that won't work with the shop's current access
+ * scopes, with a button to grant the missing ones.
+ */
+function ScopeBanner({ missingScopes, degradedFeatures }) {
+  const fetcher = useFetcher();
+  if (missingScopes.length === 0) return null;
+
+  const reauthorize = () => {
+    const formData = new FormData();
+    missingScopes.forEach((scope) => formData.append("scopes", scope));
+    fetcher.submit(formData, { method: "POST", action: "/app/scopes" });
+  };
+
+  return (
+    <div style={{ padding: "16px 16px 0" }}>
+      <s-box padding="base" borderWidth="base" borderRadius="base" background="critical-subdued">
+        <div style={{ fontWeight: 650, fontSize: "13.5px", color: "#1a1a1a", marginBottom: "4px" }}>
+          Some automations are turned off: Wylto is missing permissions
+        </div>
+        <ul style={{ margin: "6px 0 0", paddingLeft: "18px", fontSize: "13px", lineHeight: 1.55, color: "#616161" }}>
+          {degradedFeatures.map((feature) => (
+            <li key={feature.key}>
+              <strong>{feature.label}:</strong> {feature.impact}
+            </li>
+          ))}
+        </ul>
+        <div style={{ fontSize: "12.5px", color: "#8a8a8a", marginTop: "6px" }}>
+          Missing: {missingScopes.join(", ")}
+        </div>
+        <div style={{ marginTop: "12px" }}>
+          <s-button
+            onClick={reauthorize}
+            disabled={fetcher.state !== "idle"}
+            loading={fetcher.state !== "idle"}
+            variant="primary"
+          >
+            Grant permissions
+          </s-button>
+        </div>
+        {fetcher.data?.success === false && (
+          <div style={{ marginTop: "8px" }}>
+            <s-text tone="critical">{fetcher.data.error}</s-text>
+          </div>
+        )}
+      </s-box>
+    </div>
+  );
+}
+
+/* eslint-enable react/prop-types */
+
 export default function App() {
-  const { apiKey } = useLoaderData();
+  const { apiKey, missingScopes, degradedFeatures } = useLoaderData();
 
   return (
     <AppProvider embedded apiKey={apiKey}>
@@ -19,8 +93,11 @@ export default function App() {
         <s-link href="/app">Home</s-link>
         <s-link href="/app/automations">Automations</s-link>
         <s-link href="/app/templates">Templates</s-link>
+        <s-link href="/app/deliveries">Failed deliveries</s-link>
+        <s-link href="/app/settings">Settings</s-link>
         <s-link href="/app/how-to-use">How to use app</s-link>
       </s-app-nav>
+      <ScopeBanner missingScopes={missingScopes} degradedFeatures={degradedFeatures} />
       <Outlet />
     </AppProvider>
   );
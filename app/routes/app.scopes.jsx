@@ -0,0 +1,31 @@
+import { authenticate } from "../shopify.server";
+import { REQUIRED_SCOPES, parseScopes, recordScopeCheck } from "../scope-check.server";
+
+/**
+ * Re-authorization for missing access scopes
+ *
+ * Posted to by the scope banner in app.jsx with the scopes to request. Only
+ * scopes the app declares (REQUIRED_SCOPES) are requested; anything else
+ * posted is ignored, and a post with none of them is refused.
+ * scopes.request() sends the merchant to Shopify's grant screen (an App
+ * Bridge redirect) unless every scope is already granted; in that case the
+ * banner was stale, so the scope check is refreshed from Shopify instead.
+ */
+export const action = async ({ request }) => {
+  const { session, scopes } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const requested = parseScopes(formData.getAll("scopes").map((scope) => scope.toString())).filter((scope) =>
+    REQUIRED_SCOPES.includes(scope),
+  );
+  if (requested.length === 0) {
+    return { success: false, error: "No permissions to request." };
+  }
+
+  // Throws the redirect to the grant screen if anything is missing
+  await scopes.request(requested);
+
+  const { granted } = await scopes.query();
+  await recordScopeCheck(session.shop, granted, "reauthorize");
+  return { success: true, message: "All required permissions are granted." };
+};
@@ -0,0 +1,154 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getShopSettings, updateShopSettings } from "../shop-settings.server";
+import { DEFAULT_COD_GATEWAYS } from "../payment-mode.server";
+import { createLogger } from "../logger.server";
+
+const log = createLogger("Settings");
+
+/**
+ * Settings page
+ *
+ * Shop-level settings kept by the app itself (not in Wylto). For now: extra
+ * payment gateway names that should count as cash on delivery, for shops
+ * whose COD method isn't called anything like "Cash on Delivery".
+ */
+
+// Limits on the gateway list, so a paste accident can't store something huge
+const MAX_GATEWAYS = 50;
+const MAX_GATEWAY_LENGTH = 100;
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  const { codGateways } = getShopSettings(shop);
+  return { shop, codGateways, defaultCodGateways: DEFAULT_COD_GATEWAYS };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  const formData = await request.formData();
+  const raw = formData.get("codGateways")?.toString() || "";
+
+  // One name per line; blank lines and repeats are dropped
+  const codGateways = [...new Set(raw.split("\n").map((line) => line.trim()).filter(Boolean))];
+  if (codGateways.length > MAX_GATEWAYS) {
+    return { success: false, error: `Enter at most ${MAX_GATEWAYS} gateway names.` };
+  }
+  const tooLong = codGateways.find((name) => name.length > MAX_GATEWAY_LENGTH);
+  if (tooLong) {
+    return {
+      success: false,
+      error: `"${tooLong.slice(0, 40)}…" is too long — gateway names are at most ${MAX_GATEWAY_LENGTH} characters.`,
+    };
+  }
+
+  try {
+    await updateShopSettings(shop, { codGateways });
+  } catch (error) {
+    log.error(`Failed to save settings for ${shop}`, { error });
+    return { success: false, error: "Could not save settings. Please try again." };
+  }
+  return { success: true, message: "Settings saved." };
+};
+
+const inputStyle = {
+  width: "100%",
+  boxSizing: "border-box",
+  padding: "0.7rem 0.9rem",
+  border: "1px solid #d1d5db",
+  borderRadius: "10px",
+  fontSize: "0.9rem",
+  color: "#1f2937",
+  outline: "none",
+  fontFamily: "inherit",
+  resize: "vertical",
+};
+
+export default function Settings() {
+  const { codGateways, defaultCodGateways } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [gatewayText, setGatewayText] = useState(() => codGateways.join("\n"));
+
+  const isSaving = fetcher.state !== "idle";
+
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data) return;
+    if (fetcher.data.success) {
+      shopify.toast.show(fetcher.data.message || "Saved");
+    } else if (fetcher.data.error) {
+      shopify.toast.show(fetcher.data.error, { isError: true });
+    }
+  }, [fetcher.state, fetcher.data, shopify]);
+
+  const handleSave = () => {
+    const formData = new FormData();
+    formData.append("codGateways", gatewayText);
+    fetcher.submit(formData, { method: "POST" });
+  };
+
+  return (
+    <s-page heading="Settings">
+      <s-section heading="Cash on delivery">
+        <s-paragraph>
+          Orders paid with a cash-on-delivery gateway, and not yet marked paid, are sent to
+          Wylto as COD orders so COD confirmation messages can go out. These gateway names are
+          always recognised, along with longer names containing them (like &quot;Cash on
+          Delivery (COD)&quot;):
+        </s-paragraph>
+
+        <div style={{ display: "flex", flexWrap: "wrap", gap: "6px", margin: "8px 0 16px" }}>
+          {defaultCodGateways.map((name) => (
+            <span
+              key={name}
+              style={{
+                padding: "3px 10px",
+                borderRadius: "999px",
+                background: "#f1f1f1",
+                fontSize: "12.5px",
+                color: "#303030",
+              }}
+            >
+              {name}
+            </span>
+          ))}
+        </div>
+
+        <s-stack direction="block" gap="base">
+          <div>
+            <s-label>Your COD gateway names</s-label>
+            <textarea
+              style={inputStyle}
+              rows={5}
+              placeholder={"Cash on Pickup\nPay at door"}
+              value={gatewayText}
+              onChange={(e) => setGatewayText(e.target.value)}
+              disabled={isSaving}
+            />
+            <s-text tone="subdued" style={{ fontSize: "12px" }}>
+              One per line, spelled as it appears under Payments on your orders. Capitals and
+              punctuation don&apos;t matter.
+            </s-text>
+          </div>
+
+          <s-stack direction="inline" gap="base">
+            <s-button variant="primary" onClick={handleSave} loading={isSaving} disabled={isSaving}>
+              Save
+            </s-button>
+          </s-stack>
+        </s-stack>
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
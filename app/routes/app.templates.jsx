@@ -3,7 +3,13 @@ import { useFetcher, useLoaderData } from "react-router";
 import { useAppBridge } from "@shopify/app-bridge-react";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { authenticate } from "../shopify.server";
-import { checkConnectionStatus, getTemplates, createTemplate } from "../wylto-connection.server";
+import {
+  checkConnectionStatus,
+  getTemplates,
+  createTemplate,
+  wyltoLoaderError,
+} from "../wylto-connection.server";
+import { WyltoErrorBanner } from "../components/WyltoErrorBanner";
 
 /**
  * Templates page
@@ -12,15 +18,6 @@ import { checkConnectionStatus, getTemplates, createTemplate } from "../wylto-co
  * (submitted to Meta for approval) — all inside the Shopify admin.
  */
 
-// Defensive field access — the get-templates response shape is still being
-// confirmed, so accept the likely field names with fallbacks.
-const tName = (t) => t.name ?? t.templateName ?? t.id ?? t.templateId ?? "Untitled";
-// A freshly created template comes back with no status until Meta reviews it,
-// so treat "no status" as pending rather than showing nothing.
-const tStatus = (t) =>
-  (t.status ?? t.approvalStatus ?? "").toString().toUpperCase() || "PENDING";
-const tCategory = (t) => (t.category ?? "").toString().toUpperCase();
-
 function statusColors(status) {
   if (status === "APPROVED") return { bg: "#e7f6ec", fg: "#0f7a3d" };
   if (status === "REJECTED") return { bg: "#fdecec", fg: "#b42318" };
@@ -121,21 +118,15 @@ export const loader = async ({ request }) => {
   const { session } = await authenticate.admin(request);
   const shop = session.shop;
 
-  let connected = false;
-  let templates = [];
-  try {
-    const status = await checkConnectionStatus(shop);
-    connected = status.connected === true;
-  } catch {
-    connected = false;
-  }
+  const status = await checkConnectionStatus(shop);
+  const res = status.connected ? await getTemplates(shop) : null;
 
-  if (connected) {
-    const res = await getTemplates(shop);
-    if (res.success) templates = res.templates;
-  }
-
-  return { shop, connected, templates };
+  return {
+    shop,
+    connected: status.connected,
+    templates: res?.success ? res.data : [],
+    wyltoError: wyltoLoaderError(status, res),
+  };
 };
 
 export const action = async ({ request }) => {
@@ -192,7 +183,7 @@ const inputStyle = {
 };
 
 export default function Templates() {
-  const { connected, templates } = useLoaderData();
+  const { connected, templates, wyltoError } = useLoaderData();
   const fetcher = useFetcher();
   const shopify = useAppBridge();
 
@@ -206,7 +197,7 @@ export default function Templates() {
   // Meta requires template names to be unique per account, so a second
   // "Order cancelled" template can't reuse the same name.
   const existingNames = new Set(
-    templates.map((t) => (t.name ?? t.templateName ?? "").toLowerCase()).filter(Boolean),
+    templates.map((t) => t.name.toLowerCase()),
   );
   const nameTaken = Boolean(form.name) && existingNames.has(form.name.toLowerCase());
 
@@ -245,22 +236,28 @@ export default function Templates() {
   };
 
   if (!connected) {
+    // A failed status check isn't "not connected": show what went wrong
     return (
       <s-page heading="Templates">
-        <s-section heading="Connect Wylto first">
-          <s-paragraph>
-            Connect your Wylto account on the Home page to manage templates.
-          </s-paragraph>
-          <s-link href="/app">
-            <s-button variant="primary">Go to Home</s-button>
-          </s-link>
-        </s-section>
+        <WyltoErrorBanner error={wyltoError} />
+        {!wyltoError && (
+          <s-section heading="Connect Wylto first">
+            <s-paragraph>
+              Connect your Wylto account on the Home page to manage templates.
+            </s-paragraph>
+            <s-link href="/app">
+              <s-button variant="primary">Go to Home</s-button>
+            </s-link>
+          </s-section>
+        )}
       </s-page>
     );
   }
 
   return (
     <s-page heading="Templates">
+      <WyltoErrorBanner error={wyltoError} />
+
       {/* Existing templates */}
       <s-section heading="Your templates">
         {templates.length === 0 ? (
@@ -272,12 +269,13 @@ export default function Templates() {
             can&apos;t be used in automations until they&apos;re approved.
           </s-paragraph>
           <div style={{ display: "flex", flexDirection: "column", gap: "8px", marginTop: "6px" }}>
-            {templates.map((t, i) => {
-              const status = tStatus(t);
+            {templates.map((t) => {
+              const status = t.status;
               const c = statusColors(status);
+              // An id can fall back to the name, which repeats across languages
               return (
                 <div
-                  key={tName(t) + i}
+                  key={`${t.id}:${t.language}`}
                   style={{
                     display: "flex",
                     alignItems: "center",
@@ -290,10 +288,10 @@ export default function Templates() {
                   }}
                 >
                   <div>
-                    <div style={{ fontWeight: 600, fontSize: "14px", color: "#1a1a1a" }}>{tName(t)}</div>
-                    {tCategory(t) && (
+                    <div style={{ fontWeight: 600, fontSize: "14px", color: "#1a1a1a" }}>{t.name}</div>
+                    {t.category && (
                       <div style={{ fontSize: "12px", color: "#8a8a8a", marginTop: "2px" }}>
-                        {tCategory(t)}
+                        {t.category}
                       </div>
                     )}
                   </div>
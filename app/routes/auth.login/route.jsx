@@ -2,46 +2,54 @@ import { AppProvider } from "@shopify/shopify-app-react-router/react";
 import { useState } from "react";
 import { Form, useActionData, useLoaderData } from "react-router";
 import { login } from "../../shopify.server";
+import { config } from "../../config.server";
 import { loginErrorMessage } from "./error.server";
+import { normalizeShopDomain } from "./shop-domain.server";
+
+/**
+ * Normalizes the shop the merchant entered and hands it to login(), which
+ * redirects to Shopify. A shop that can't be normalized comes back as an
+ * inline error instead, before any redirect.
+ *
+ * @param {Request} request
+ * @param {string} input - Shop as entered
+ */
+async function loginWithShop(request, input) {
+  const normalized = normalizeShopDomain(input);
+  if (normalized.error) {
+    return { errors: { shop: normalized.error }, shop: input };
+  }
+
+  // login() reads the shop from the query string first
+  const url = new URL(request.url);
+  url.searchParams.set("shop", normalized.shop);
+  const loginResult = await login(new Request(url, { method: "GET", headers: request.headers }));
+  return { errors: loginErrorMessage(loginResult), shop: normalized.shop };
+}
 
 export const loader = async ({ request }) => {
-  try {
-    const loginResult = await login(request);
-    const errors = loginErrorMessage(loginResult);
+  const shop = new URL(request.url).searchParams.get("shop");
+  const result = shop !== null ? await loginWithShop(request, shop) : { errors: {}, shop: "" };
 
-    // eslint-disable-next-line no-undef
-    return { errors, apiKey: process.env.SHOPIFY_API_KEY || "" };
-  } catch (error) {
-    // If login throws a redirect or other response, let it propagate
-    throw error;
-  }
+  return { ...result, apiKey: config.shopify.apiKey };
 };
 
 export const action = async ({ request }) => {
-  try {
-    const loginResult = await login(request);
-    const errors = loginErrorMessage(loginResult);
+  const formData = await request.formData();
+  const result = await loginWithShop(request, formData.get("shop")?.toString() || "");
 
-    // eslint-disable-next-line no-undef
-  return {
-    errors,
-      apiKey: process.env.SHOPIFY_API_KEY || "",
-  };
-  } catch (error) {
-    // If login throws a redirect or other response, let it propagate
-    throw error;
-  }
+  return { ...result, apiKey: config.shopify.apiKey };
 };
 
 export default function Auth() {
   const loaderData = useLoaderData();
   const actionData = useActionData();
-  const [shop, setShop] = useState("");
   const { errors, apiKey } = actionData || loaderData;
+  // Keep what the merchant typed; the server normalizes it on submit
+  const [shop, setShop] = useState(loaderData.shop || "");
 
   const handleShopChange = (e) => {
-    let value = e.currentTarget.value.trim().toLowerCase();
-    setShop(value);
+    setShop(e.currentTarget.value);
   };
 
   return (
@@ -155,7 +163,8 @@ export default function Auth() {
                 margin: "0",
                 lineHeight: "1.5"
               }}>
-                Enter your Shopify store domain (e.g., my-store.myshopify.com)
+                Your store domain (my-store.myshopify.com), store name, or Shopify admin link
+                (admin.shopify.com/store/my-store) all work.
               </p>
             </div>
 
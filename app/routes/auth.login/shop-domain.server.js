@@ -0,0 +1,122 @@
+/**
+ * Shop domain normalization for the login form
+ *
+ * Merchants type their store in many shapes. All of these log in to
+ * my-store.myshopify.com:
+ *
+ *   my-store
+ *   my-store.myshopify.com
+ *   https://my-store.myshopify.com/admin
+ *   admin.shopify.com/store/my-store
+ *   https://admin.shopify.com/store/my-store/orders
+ *
+ * plus <name>.<SHOP_CUSTOM_DOMAIN> when a custom shop domain is configured.
+ * Anything else gets a message saying what was wrong with it, shown under the
+ * field before login() redirects anywhere.
+ */
+
+import { config } from "../../config.server";
+
+const MYSHOPIFY_SUFFIX = ".myshopify.com";
+
+// Same characters Shopify's sanitizeShop accepts in a store handle
+const HANDLE_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Custom shop domains accepted besides myshopify.com (SHOP_CUSTOM_DOMAIN,
+ * also passed to shopifyApp as customShopDomains).
+ *
+ * @returns {string[]}
+ */
+function customShopDomains() {
+  const domain = config.shopify.customShopDomain;
+  return domain ? [domain] : [];
+}
+
+/**
+ * Checks a store handle (the "my-store" in my-store.myshopify.com).
+ *
+ * @param {string} handle
+ * @returns {string | null} Error message, or null if it's valid
+ */
+function handleError(handle) {
+  if (HANDLE_PATTERN.test(handle)) return null;
+  if (/^[-_]/.test(handle)) {
+    return "Store names start with a letter or number.";
+  }
+  return `"${handle}" isn't a valid store name: use only letters, numbers and hyphens.`;
+}
+
+/**
+ * Turns what a merchant typed into their shop's domain.
+ *
+ * @param {string | null | undefined} input
+ * @returns {{shop: string} | {error: string}}
+ */
+export function normalizeShopDomain(input) {
+  const value = (input || "").trim().toLowerCase();
+  if (!value) {
+    return { error: "Enter your store's domain, for example my-store.myshopify.com." };
+  }
+  if (/\s/.test(value)) {
+    return { error: "Store domains can't contain spaces." };
+  }
+
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(value) ? value : `https://${value}`);
+  } catch {
+    return { error: `"${value}" isn't a store domain. Enter something like my-store.myshopify.com.` };
+  }
+  const host = url.hostname;
+
+  // Admin link: admin.shopify.com/store/<handle>/...
+  if (host === "admin.shopify.com") {
+    const handle = url.pathname.split("/")[1] === "store" ? url.pathname.split("/")[2] : "";
+    if (!handle) {
+      return {
+        error:
+          "That Shopify admin link doesn't include your store. Copy it from your store's admin, like admin.shopify.com/store/my-store.",
+      };
+    }
+    const error = handleError(handle);
+    return error ? { error } : { shop: `${handle}${MYSHOPIFY_SUFFIX}` };
+  }
+
+  // my-store.myshopify.com, with or without https:// and a path
+  if (host.endsWith(MYSHOPIFY_SUFFIX)) {
+    const handle = host.slice(0, -MYSHOPIFY_SUFFIX.length);
+    if (!handle || handle.includes(".")) {
+      return { error: `"${host}" isn't a store domain. Enter something like my-store.myshopify.com.` };
+    }
+    const error = handleError(handle);
+    return error ? { error } : { shop: host };
+  }
+
+  // Bare handle: my-store
+  if (!host.includes(".")) {
+    const error = handleError(host);
+    return error ? { error } : { shop: `${host}${MYSHOPIFY_SUFFIX}` };
+  }
+
+  // <name>.<SHOP_CUSTOM_DOMAIN>
+  for (const domain of customShopDomains()) {
+    if (host.endsWith(`.${domain}`)) {
+      const handle = host.slice(0, -(domain.length + 1));
+      const error = handle.includes(".") ? `"${host}" isn't a store domain.` : handleError(handle);
+      return error ? { error } : { shop: host };
+    }
+  }
+
+  if (host === "shopify.com" || host.endsWith(".shopify.com")) {
+    return {
+      error:
+        "That's a Shopify link, not your store. Enter your store's domain, like my-store.myshopify.com, or its admin link.",
+    };
+  }
+
+  // Most likely the storefront's own domain (mystore.com)
+  return {
+    error: `"${host}" looks like your storefront's domain. Log in with your .myshopify.com domain instead — it's listed under Settings → Domains in your Shopify admin.`,
+  };
+}
@@ -0,0 +1,30 @@
+import { wyltoClient } from "../wylto-client.server";
+import { getOutboxStats } from "../outbox.server";
+
+/**
+ * Health: GET /health/wylto
+ *
+ * Reports this process's view of the Wylto API: the circuit breaker's state,
+ * how many webhook events are waiting in the outbox, and the response cache's
+ * hit counts. Answers 503 while the breaker is open, so uptime monitors can
+ * alert on it. The app itself is still up then, so don't use this as a
+ * probe: /healthz and /readyz are for that.
+ *
+ * No authentication: the response holds no shop data or secrets.
+ */
+export const loader = async () => {
+  const circuit = wyltoClient.breaker.getState();
+  const { pending, oldestPendingAt } = getOutboxStats();
+  return Response.json(
+    {
+      status: circuit.state === "open" ? "unavailable" : "ok",
+      circuit,
+      outbox: { pending, oldestPendingAt },
+      cache: wyltoClient.cache.getStats(),
+    },
+    {
+      status: circuit.state === "open" ? 503 : 200,
+      headers: { "Cache-Control": "no-store" },
+    },
+  );
+};
@@ -0,0 +1,13 @@
+import { checkLiveness } from "../health.server";
+
+/**
+ * Liveness: GET /healthz
+ *
+ * Answers 200 while the process serves requests. Checks no dependency, so a
+ * Wylto outage or a bad config never gets the container restarted; that is
+ * what /readyz reports. Use this as the Cloud Run liveness probe.
+ *
+ * No authentication: the response holds no shop data or secrets.
+ */
+export const loader = () =>
+  Response.json(checkLiveness(), { headers: { "Cache-Control": "no-store" } });
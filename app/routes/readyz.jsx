@@ -0,0 +1,20 @@
+import { checkReadiness } from "../health.server";
+
+/**
+ * Readiness: GET /readyz
+ *
+ * Runs the checks in health.server.js (required env vars, storage, session
+ * store, Wylto, outbox) and returns each one's result. Answers 503 when a
+ * critical check fails; a Wylto outage or an outbox backlog is reported as
+ * "degraded" but still answers 200. Use this as the Cloud Run startup probe.
+ *
+ * No authentication: the response names missing env vars but holds no
+ * values, shop data or secrets.
+ */
+export const loader = async () => {
+  const readiness = await checkReadiness();
+  return Response.json(readiness, {
+    status: readiness.ready ? 200 : 503,
+    headers: { "Cache-Control": "no-store" },
+  });
+};
@@ -0,0 +1,231 @@
+/**
+ * ============================================================================
+ * Scope Check
+ * ============================================================================
+ *
+ * A merchant can end up with fewer access scopes than the app asks for (an
+ * old install from before a scope was added, or a scope removed on Shopify's
+ * side). The app keeps working, but some automations silently stop: without
+ * read_checkouts there is no cart recovery, without write_orders no order
+ * tagging.
+ *
+ * This module compares the granted scopes against the ones the app declares
+ * (SCOPES, via config.server.js, which keeps it in line with
+ * shopify.app.toml) and records which features (SCOPE_FEATURES) that
+ * degrades. It runs:
+ *
+ * - on app/scopes_update, with the scopes in the payload (the stored
+ *   sessions' scope is updated to match);
+ * - on every admin page load (app.jsx), with the session's scope, so a shop
+ *   whose scopes drifted before this check existed is caught too.
+ *
+ * The admin layout shows a banner naming the automations that won't work,
+ * with a button that re-authorizes the app for the missing scopes
+ * (app.scopes.jsx).
+ *
+ * A write_* scope implies the matching read_* one, as in Shopify.
+ *
+ * Record shape (keyed by shop):
+ *   { shop, grantedScopes, missingScopes, degradedFeatures, source, changedAt }
+ *   degradedFeatures is a list of SCOPE_FEATURES keys; source is what found
+ *   the current result ("scopes_update", "page_load" or "reauthorize").
+ * ============================================================================
+ */
+
+import { openCollection } from "./storage.server";
+import { sessionStorage } from "./session-storage.server";
+import { createLogger } from "./logger.server";
+import { config } from "./config.server";
+
+/**
+ * Features by the access scopes they need. impact is what the merchant loses
+ * without them, as shown in the banner. Only scopes in REQUIRED_SCOPES are
+ * checked; a feature naming one the app doesn't declare is logged at startup.
+ */
+export const SCOPE_FEATURES = {
+  orderMessages: {
+    label: "Order messages",
+    scopes: ["read_orders"],
+    impact: "Order placed and order cancelled messages won't be sent.",
+  },
+  deliveryUpdates: {
+    label: "Shipping and delivery updates",
+    scopes: ["read_orders", "read_fulfillments"],
+    impact: "Shipped, out for delivery and delivered messages won't be sent.",
+  },
+  cartRecovery: {
+    label: "Abandoned cart recovery",
+    scopes: ["read_checkouts"],
+    impact: "Abandoned checkouts won't be detected, so no cart recovery messages.",
+  },
+  customerDetails: {
+    label: "Customer details",
+    scopes: ["read_customers"],
+    impact: "Messages can't include the customer's name or reach customers without an order phone number.",
+  },
+  orderTagging: {
+    label: "Order tagging",
+    scopes: ["write_orders"],
+    impact: "Orders won't be tagged (for example after a COD confirmation).",
+  },
+  productDetails: {
+    label: "Product details",
+    scopes: ["read_products"],
+    impact: "Messages won't include product images or details.",
+  },
+};
+
+const scopeChecks = openCollection("scope-checks");
+const log = createLogger("Scopes");
+
+/**
+ * Normalizes a scope list: a comma-separated string (session.scope) or an
+ * array (the webhook payload).
+ *
+ * @param {string | string[] | null | undefined} value
+ * @returns {string[]} Sorted, without duplicates
+ */
+export function parseScopes(value) {
+  const list = Array.isArray(value) ? value : (value || "").split(",");
+  return [...new Set(list.map((scope) => scope.trim()).filter(Boolean))].sort();
+}
+
+/** The scopes a shop must grant: the ones the app declares in SCOPES. */
+export const REQUIRED_SCOPES = parseScopes(config.shopify.scopes);
+
+for (const [key, feature] of Object.entries(SCOPE_FEATURES)) {
+  const undeclared = feature.scopes.filter((scope) => !REQUIRED_SCOPES.includes(scope));
+  if (undeclared.length > 0) {
+    log.warn(`SCOPE_FEATURES.${key} needs ${undeclared.join(", ")}, which SCOPES doesn't declare`);
+  }
+}
+
+/**
+ * Whether a scope is granted, directly or through its write_* counterpart.
+ *
+ * @param {Set<string>} granted
+ * @param {string} scope
+ * @returns {boolean}
+ */
+function hasScope(granted, scope) {
+  return granted.has(scope) || (scope.startsWith("read_") && granted.has(`write_${scope.slice(5)}`));
+}
+
+/**
+ * Works out which required scopes are missing and which features that breaks.
+ *
+ * @param {string | string[]} grantedScopes
+ * @returns {{missingScopes: string[], degradedFeatures: string[]}}
+ */
+export function evaluateScopes(grantedScopes) {
+  const granted = new Set(parseScopes(grantedScopes));
+  return {
+    missingScopes: REQUIRED_SCOPES.filter((scope) => !hasScope(granted, scope)),
+    degradedFeatures: Object.keys(SCOPE_FEATURES).filter((key) =>
+      SCOPE_FEATURES[key].scopes.some(
+        (scope) => REQUIRED_SCOPES.includes(scope) && !hasScope(granted, scope),
+      ),
+    ),
+  };
+}
+
+/**
+ * Checks a shop's granted scopes and records the result. Only writes when
+ * the result differs from the last one (or SCOPES or SCOPE_FEATURES changed
+ * since), so it's cheap to call on every page load.
+ *
+ * @param {string} shop
+ * @param {string | string[]} grantedScopes
+ * @param {string} source - What triggered the check ("scopes_update", "page_load", "reauthorize")
+ * @returns {Promise<object>} The shop's record
+ */
+export async function recordScopeCheck(shop, grantedScopes, source) {
+  const granted = parseScopes(grantedScopes);
+  const { missingScopes, degradedFeatures } = evaluateScopes(granted);
+  const previous = scopeChecks.get(shop);
+
+  if (
+    previous &&
+    previous.grantedScopes.join(",") === granted.join(",") &&
+    previous.missingScopes.join(",") === missingScopes.join(",") &&
+    previous.degradedFeatures.join(",") === degradedFeatures.join(",")
+  ) {
+    return previous;
+  }
+
+  const record = {
+    shop,
+    grantedScopes: granted,
+    missingScopes,
+    degradedFeatures,
+    source,
+    changedAt: Date.now(),
+  };
+  await scopeChecks.set(shop, record);
+
+  if (missingScopes.length > 0) {
+    log.warn(
+      `${shop} is missing ${missingScopes.join(", ")} (${source}); degraded: ${degradedFeatures.join(", ")}`,
+      { shop },
+    );
+  } else if (previous?.missingScopes.length > 0) {
+    log.info(`${shop} has every required scope again (${source})`, { shop });
+  }
+  return record;
+}
+
+/**
+ * Gets a shop's last scope check.
+ *
+ * @param {string} shop
+ * @returns {object | null}
+ */
+export function getScopeCheck(shop) {
+  return scopeChecks.get(shop) || null;
+}
+
+/**
+ * Stores the new scopes on the shop's sessions, so the page-load check (which
+ * reads session.scope) sees them too.
+ *
+ * @param {string} shop
+ * @param {string[]} scopes
+ * @returns {Promise<void>}
+ */
+async function updateSessionScopes(shop, scopes) {
+  for (const session of await sessionStorage.findSessionsByShop(shop)) {
+    session.scope = scopes.join(",");
+    await sessionStorage.storeSession(session);
+  }
+}
+
+/**
+ * Forgets a shop's scope check, on uninstall (see offboarding.server.js).
+ *
+ * @param {string} shop
+ * @returns {Promise<boolean>} Whether there was one to forget
+ */
+export async function removeScopeCheck(shop) {
+  if (!scopeChecks.has(shop)) return false;
+  await scopeChecks.delete(shop);
+  return true;
+}
+
+// ============================================================================
+// Pipeline hooks
+// ============================================================================
+
+/**
+ * app/scopes_update hook: records the new scopes and adds missingScopes and
+ * degradedFeatures to the forwarded payload.
+ *
+ * @param {any} payload - { current: string[], previous: string[] }
+ * @param {{shop: string}} context
+ * @returns {Promise<any>}
+ */
+export async function scopesUpdateHook(payload, { shop }) {
+  const current = parseScopes(payload.current);
+  await updateSessionScopes(shop, current);
+  const { missingScopes, degradedFeatures } = await recordScopeCheck(shop, current, "scopes_update");
+  return { ...payload, missingScopes, degradedFeatures };
+}
@@ -0,0 +1,349 @@
+/**
+ * ============================================================================
+ * Shopify Session Storage
+ * ============================================================================
+ *
+ * Where the app keeps Shopify sessions (shop, offline access token, scopes).
+ * The adapter is picked with WYLTO_SESSION_STORAGE:
+ *
+ * - "file" (default outside production): sessions persist as a collection
+ *   under WYLTO_DATA_DIR, so they survive restarts and background work (the
+ *   outbox worker, the abandoned-cart detector) still has the shop's offline
+ *   token. Like every collection it is one process's file, so it's for a
+ *   single local instance only.
+ * - "postgresql": the same records in a PostgreSQL table
+ *   (WYLTO_SESSION_DATABASE_URL), shared by every instance. The only adapter
+ *   config.server.js accepts in production.
+ * - "memory": the library's MemorySessionStorage. Sessions are lost on every
+ *   restart; for local experiments only.
+ *
+ * To add an adapter (e.g. a Redis-backed one), register a factory in
+ * SESSION_STORAGE_ADAPTERS. Anything implementing storeSession, loadSession,
+ * deleteSession, deleteSessions and findSessionsByShop will do, and
+ * migrateSessions() copies existing sessions into it.
+ *
+ * Migrating from memory storage: there is nothing to copy, since memory
+ * sessions never outlived a restart. Each merchant gets a new offline session
+ * (via token exchange) the next time they open the app.
+ *
+ * Access and refresh tokens are encrypted at rest with the envelope
+ * encryption in encryption.server.js whenever WYLTO_SESSION_ENCRYPTION_KEY is
+ * set (it must be, in production). After a rotation, or once a key is
+ * configured, reencryptSessions() brings the file adapter's records up to the
+ * current key; the PostgreSQL adapter does it as each record is loaded.
+ *
+ * Record shape (keyed by session id):
+ *   { version, shop, properties, secrets }
+ *   properties is Session.toPropertyArray(true) without the token fields;
+ *   secrets is the sealed { accessToken, refreshToken } envelope, or absent
+ *   when no key is configured (the tokens then stay in properties). version
+ *   is SESSION_RECORD_VERSION, so the shape can change without losing sessions.
+ * ============================================================================
+ */
+
+import { Session } from "@shopify/shopify-app-react-router/server";
+import { MemorySessionStorage } from "@shopify/shopify-app-session-storage-memory";
+import { openCollection } from "./storage.server";
+import { openTable } from "./postgres.server";
+import { isEncryptionConfigured, needsRewrap, rewrap, seal, unseal } from "./encryption.server";
+import { createLogger } from "./logger.server";
+import { config } from "./config.server";
+
+const log = createLogger("Session");
+
+/** Version of the stored record shape. */
+const SESSION_RECORD_VERSION = 1;
+
+/** Session properties that are encrypted at rest. */
+const SECRET_PROPERTIES = new Set(["accessToken", "refreshToken"]);
+
+/** The PostgreSQL adapter's table. */
+const SESSION_TABLE = "wylto_sessions";
+
+/**
+ * Builds the stored record for a session, sealing its tokens when a key is
+ * configured.
+ *
+ * @param {string} id - Session id
+ * @param {string} shop
+ * @param {Array<[string, any]>} properties - Session.toPropertyArray(true), tokens included
+ * @returns {object}
+ */
+function toRecord(id, shop, properties) {
+  if (!isEncryptionConfigured()) {
+    return { version: SESSION_RECORD_VERSION, shop, properties };
+  }
+  return {
+    version: SESSION_RECORD_VERSION,
+    shop,
+    properties: properties.filter(([key]) => !SECRET_PROPERTIES.has(key)),
+    secrets: seal(
+      Object.fromEntries(properties.filter(([key]) => SECRET_PROPERTIES.has(key))),
+      id,
+    ),
+  };
+}
+
+/**
+ * A record's full property list, with its tokens decrypted.
+ *
+ * @param {string} id - Session id
+ * @param {any} record
+ * @returns {Array<[string, any]>}
+ * @throws {Error} If the tokens can't be decrypted
+ */
+function recordProperties(id, record) {
+  if (!record.secrets) return record.properties;
+  return [...record.properties, ...Object.entries(unseal(record.secrets, id))];
+}
+
+/**
+ * The session a stored record holds. A session whose tokens can't be
+ * decrypted (e.g. its key was dropped before re-encryption finished) is
+ * treated as missing, so the merchant simply gets a new one by token exchange.
+ *
+ * @param {string} id - Session id
+ * @param {any} record - Stored record
+ * @returns {Session | undefined}
+ */
+function toSession(id, record) {
+  if (!record || record.version !== SESSION_RECORD_VERSION) return undefined;
+  try {
+    return Session.fromPropertyArray(recordProperties(id, record), true);
+  } catch (error) {
+    log.error(`Could not decrypt session ${id}`, { error: error.message });
+    return undefined;
+  }
+}
+
+/**
+ * Session storage adapters by WYLTO_SESSION_STORAGE value.
+ */
+const SESSION_STORAGE_ADAPTERS = {
+  file: () => createFileSessionStorage(),
+  postgresql: () => createPostgresSessionStorage(config.storage.sessionDatabaseUrl),
+  memory: () => new MemorySessionStorage(),
+};
+
+/**
+ * Session storage backed by the "sessions" collection.
+ *
+ * @returns {import("@shopify/shopify-app-session-storage").SessionStorage}
+ */
+export function createFileSessionStorage() {
+  const sessions = openCollection("sessions");
+
+  return {
+    async storeSession(session) {
+      await sessions.set(
+        session.id,
+        toRecord(session.id, session.shop, session.toPropertyArray(true)),
+      );
+      return true;
+    },
+
+    async loadSession(id) {
+      return toSession(id, sessions.get(id));
+    },
+
+    async deleteSession(id) {
+      await sessions.delete(id);
+      return true;
+    },
+
+    async deleteSessions(ids) {
+      const remove = new Set(ids);
+      await sessions.deleteWhere((record, id) => remove.has(id));
+      return true;
+    },
+
+    async findSessionsByShop(shop) {
+      return sessions
+        .entries()
+        .filter(([, record]) => record.shop === shop)
+        .map(([id, record]) => toSession(id, record))
+        .filter(Boolean);
+    },
+  };
+}
+
+/**
+ * Session storage in a PostgreSQL table, shared by every instance. Rows hold
+ * the same records as the file adapter, so tokens are sealed the same way.
+ * The table is created on first use. A record sealed with a previous key, or
+ * stored before a key was configured, is re-sealed when it's loaded.
+ *
+ * @param {string} databaseUrl - postgres:// connection string
+ * @returns {import("@shopify/shopify-app-session-storage").SessionStorage}
+ */
+export function createPostgresSessionStorage(databaseUrl) {
+  const query = openTable(
+    databaseUrl,
+    `CREATE TABLE IF NOT EXISTS ${SESSION_TABLE} (
+      id text PRIMARY KEY,
+      shop text NOT NULL,
+      record jsonb NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS ${SESSION_TABLE}_shop ON ${SESSION_TABLE} (shop);`,
+  );
+
+  const store = (id, record) =>
+    query(
+      `INSERT INTO ${SESSION_TABLE} (id, shop, record) VALUES ($1, $2, $3)
+       ON CONFLICT (id) DO UPDATE SET shop = EXCLUDED.shop, record = EXCLUDED.record`,
+      [id, record.shop, record],
+    );
+
+  // Re-seals a loaded record with the current key if it needs it, in the background
+  const load = (id, record) => {
+    const session = toSession(id, record);
+    if (session && isEncryptionConfigured() && (!record.secrets || needsRewrap(record.secrets))) {
+      Promise.resolve()
+        .then(() =>
+          store(
+            id,
+            record.secrets
+              ? { ...record, secrets: rewrap(record.secrets) }
+              : toRecord(id, record.shop, record.properties),
+          ),
+        )
+        .catch((error) => log.error(`Could not re-encrypt session ${id}`, { error: error.message }));
+    }
+    return session;
+  };
+
+  return {
+    async storeSession(session) {
+      await store(session.id, toRecord(session.id, session.shop, session.toPropertyArray(true)));
+      return true;
+    },
+
+    async loadSession(id) {
+      const [row] = await query(`SELECT record FROM ${SESSION_TABLE} WHERE id = $1`, [id]);
+      return row ? load(id, row.record) : undefined;
+    },
+
+    async deleteSession(id) {
+      await query(`DELETE FROM ${SESSION_TABLE} WHERE id = $1`, [id]);
+      return true;
+    },
+
+    async deleteSessions(ids) {
+      await query(`DELETE FROM ${SESSION_TABLE} WHERE id = ANY($1)`, [ids]);
+      return true;
+    },
+
+    async findSessionsByShop(shop) {
+      const rows = await query(`SELECT id, record FROM ${SESSION_TABLE} WHERE shop = $1`, [shop]);
+      return rows.map((row) => load(row.id, row.record)).filter(Boolean);
+    },
+  };
+}
+
+/**
+ * Creates the session storage selected by WYLTO_SESSION_STORAGE.
+ *
+ * @returns {import("@shopify/shopify-app-session-storage").SessionStorage}
+ * @throws {Error} If WYLTO_SESSION_STORAGE names an unknown adapter
+ */
+export function createSessionStorage() {
+  const name = config.storage.sessionStorage;
+  const adapter = SESSION_STORAGE_ADAPTERS[name];
+  if (!adapter) {
+    throw new Error(
+      `Unknown WYLTO_SESSION_STORAGE "${name}" (expected one of: ${Object.keys(SESSION_STORAGE_ADAPTERS).join(", ")})`,
+    );
+  }
+  return adapter();
+}
+
+/** The app's session storage, shared by shopify.server.js and the uninstall cleanup. */
+export const sessionStorage = createSessionStorage();
+
+if (config.storage.sessionStorage !== "memory" && !isEncryptionConfigured()) {
+  log.warn("WYLTO_SESSION_ENCRYPTION_KEY is not set: access tokens are stored unencrypted (development only)");
+}
+
+/**
+ * Brings every session in the file adapter up to the current encryption key:
+ * re-wraps envelopes sealed with a previous key, and seals tokens stored
+ * before a key was configured. Does nothing without a key. (The PostgreSQL
+ * adapter re-seals each record as it's loaded.) Run in the background at
+ * startup (startSessionReencryption); a record that fails is logged and left
+ * for the next run.
+ *
+ * @returns {Promise<{reencrypted: number, failed: number}>}
+ */
+export async function reencryptSessions() {
+  let reencrypted = 0;
+  let failed = 0;
+  if (!isEncryptionConfigured()) return { reencrypted, failed };
+
+  const sessions = openCollection("sessions");
+  for (const [id] of sessions.entries()) {
+    // Re-read each record, in case it was stored again while an earlier one was being written
+    const record = sessions.get(id);
+    if (!record || record.version !== SESSION_RECORD_VERSION) continue;
+    if (record.secrets && !needsRewrap(record.secrets)) continue;
+    try {
+      const updated = record.secrets
+        ? { ...record, secrets: rewrap(record.secrets) }
+        : toRecord(id, record.shop, record.properties);
+      await sessions.set(id, updated);
+      reencrypted += 1;
+    } catch (error) {
+      failed += 1;
+      log.error(`Could not re-encrypt session ${id}`, { error: error.message });
+    }
+  }
+
+  if (reencrypted > 0 || failed > 0) {
+    log.info(`Re-encrypted ${reencrypted} session(s) with the current key, ${failed} failed`);
+  }
+  return { reencrypted, failed };
+}
+
+/**
+ * Copies sessions for the given shops from one storage to another, e.g. when
+ * moving from the file adapter to a shared database. Sessions are copied, not
+ * moved; delete the old storage once the new one is live.
+ *
+ * @param {import("@shopify/shopify-app-session-storage").SessionStorage} from
+ * @param {import("@shopify/shopify-app-session-storage").SessionStorage} to
+ * @param {string[]} shops - Shops to copy (storage adapters can't list every shop)
+ * @returns {Promise<number>} Number of sessions copied
+ */
+export async function migrateSessions(from, to, shops) {
+  let copied = 0;
+  for (const shop of shops) {
+    for (const session of await from.findSessionsByShop(shop)) {
+      await to.storeSession(session);
+      copied += 1;
+    }
+  }
+  return copied;
+}
+
+/**
+ * Deletes every stored session for a shop. Run on uninstall, since Shopify
+ * revokes the access token (see offboarding.server.js).
+ *
+ * @param {string} shop
+ * @returns {Promise<number>} Number of sessions deleted
+ */
+export async function deleteShopSessions(shop) {
+  const sessions = await sessionStorage.findSessionsByShop(shop);
+  if (sessions.length > 0) {
+    await sessionStorage.deleteSessions(sessions.map((session) => session.id));
+  }
+  return sessions.length;
+}
+
+/**
+ * Runs reencryptSessions() in the background, without delaying startup.
+ */
+export function startSessionReencryption() {
+  setImmediate(() => {
+    reencryptSessions().catch((error) => log.error("Re-encryption failed", { error }));
+  });
+}
@@ -0,0 +1,238 @@
+/**
+ * ============================================================================
+ * Shipment Status
+ * ============================================================================
+ *
+ * Turns fulfillment webhooks into normalized shipment events that delivery
+ * automations and templates can rely on, instead of Shopify's raw
+ * shipment_status values:
+ *
+ *   shipped -> in_transit -> out_for_delivery -> delivered
+ *   failure can follow any of them
+ *
+ * The hooks add these fields to forwarded fulfillment payloads:
+ *   shipmentEvent    one of the events above
+ *   carrier          tracking_company, or null
+ *   trackingNumber   tracking_number (or the first of tracking_numbers), or null
+ *   trackingUrl      tracking_url (or the first of tracking_urls), or null
+ *   automationStatus "delivered" on delivery — the Automations page's key
+ *
+ * fulfillments/update fires for every carrier scan, so an update whose
+ * shipment event is unchanged is dropped, as is one older (by updated_at)
+ * than the last applied. fulfillments/create is always forwarded.
+ *
+ * Record shape (keyed by "<shop>:<fulfillmentId>"):
+ *   { shop, fulfillmentId, orderId, event, previousEvent, webhookId,
+ *     fulfillmentUpdatedAt, changedAt }
+ *   As in order-lifecycle.server.js, webhookId lets a Shopify redelivery of
+ *   the change re-emit it.
+ * ============================================================================
+ */
+
+import { openCollection } from "./storage.server";
+import { createLogger } from "./logger.server";
+import { config } from "./config.server";
+
+/**
+ * Normalized shipment events. automationStatus is the key the Automations
+ * page (ORDER_STATUSES in app.automations.jsx) uses for the event, if any.
+ */
+export const SHIPMENT_EVENTS = {
+  shipped: { label: "Shipped", automationStatus: null },
+  in_transit: { label: "In transit", automationStatus: null },
+  out_for_delivery: { label: "Out for delivery", automationStatus: null },
+  delivered: { label: "Delivered", automationStatus: "delivered" },
+  failure: { label: "Delivery failed", automationStatus: null },
+};
+
+/**
+ * Shopify shipment_status -> shipment event. A fulfillment with no
+ * shipment_status yet has shipped; one that was cancelled or errored has
+ * failed (see fulfillmentEvent).
+ */
+const SHIPMENT_STATUS_EVENTS = {
+  label_printed: "shipped",
+  label_purchased: "shipped",
+  confirmed: "shipped",
+  in_transit: "in_transit",
+  // Still in the carrier's last mile: a missed attempt will be retried, and
+  // a parcel at a pickup point is waiting for the customer
+  attempted_delivery: "out_for_delivery",
+  ready_for_pickup: "out_for_delivery",
+  out_for_delivery: "out_for_delivery",
+  delivered: "delivered",
+  failure: "failure",
+};
+
+/** Fulfillment status values that mean the shipment isn't happening. */
+const FAILED_FULFILLMENT_STATUSES = new Set(["cancelled", "error", "failure"]);
+
+/**
+ * Shipment Status Configuration
+ */
+const SHIPMENT_STATE_RETENTION_DAYS = config.retention.shipmentStateDays;
+const SHIPMENT_STATE_RETENTION_MS = SHIPMENT_STATE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+const shipments = openCollection("shipments");
+const log = createLogger("Shipment");
+
+let lastPrunedAt = 0;
+
+/**
+ * @param {string} shop
+ * @param {string | number} fulfillmentId
+ * @returns {string}
+ */
+function shipmentKey(shop, fulfillmentId) {
+  return `${shop}:${fulfillmentId}`;
+}
+
+/**
+ * Derives the shipment event for a fulfillment payload.
+ *
+ * @param {any} fulfillment - Fulfillment webhook payload
+ * @returns {string} A key of SHIPMENT_EVENTS
+ */
+export function fulfillmentEvent(fulfillment) {
+  if (FAILED_FULFILLMENT_STATUSES.has(fulfillment.status)) return "failure";
+  return SHIPMENT_STATUS_EVENTS[fulfillment.shipment_status] || "shipped";
+}
+
+/**
+ * Carrier and tracking details of a fulfillment, normalized.
+ *
+ * @param {any} fulfillment - Fulfillment webhook payload
+ * @returns {{carrier: string | null, trackingNumber: string | null, trackingUrl: string | null}}
+ */
+export function trackingDetails(fulfillment) {
+  return {
+    carrier: fulfillment.tracking_company || null,
+    trackingNumber: fulfillment.tracking_number || fulfillment.tracking_numbers?.[0] || null,
+    trackingUrl: fulfillment.tracking_url || fulfillment.tracking_urls?.[0] || null,
+  };
+}
+
+/**
+ * Drops fulfillments with no change for SHIPMENT_STATE_RETENTION_DAYS. Runs
+ * at most once an hour.
+ *
+ * @returns {Promise<void>}
+ */
+async function pruneExpired() {
+  const now = Date.now();
+  if (now - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+  lastPrunedAt = now;
+  await shipments.deleteWhere((record) => record.changedAt < now - SHIPMENT_STATE_RETENTION_MS);
+}
+
+/**
+ * Applies a fulfillment webhook to the fulfillment's stored shipment event.
+ *
+ * @param {string} shop
+ * @param {any} fulfillment - Fulfillment webhook payload
+ * @param {{webhookId?: string}} [delivery]
+ * @returns {Promise<{changed: boolean, event: string, previousEvent: string | null, reason?: string}>}
+ *   reason says why an unchanged result was not a change ("unchanged" or "out_of_order")
+ */
+export async function applyFulfillmentUpdate(shop, fulfillment, { webhookId } = {}) {
+  const key = shipmentKey(shop, fulfillment.id);
+  const record = shipments.get(key);
+  const event = fulfillmentEvent(fulfillment);
+
+  if (record && webhookId && record.webhookId === webhookId) {
+    // Redelivery of the webhook that made the last change
+    return { changed: true, event: record.event, previousEvent: record.previousEvent };
+  }
+
+  const fulfillmentUpdatedAt = Date.parse(fulfillment.updated_at) || null;
+  if (
+    record?.fulfillmentUpdatedAt &&
+    fulfillmentUpdatedAt &&
+    fulfillmentUpdatedAt < record.fulfillmentUpdatedAt
+  ) {
+    return { changed: false, event: record.event, previousEvent: record.previousEvent, reason: "out_of_order" };
+  }
+  if (record && record.event === event) {
+    if (fulfillmentUpdatedAt && fulfillmentUpdatedAt > (record.fulfillmentUpdatedAt || 0)) {
+      await shipments.set(key, { ...record, fulfillmentUpdatedAt });
+    }
+    return { changed: false, event, previousEvent: record.previousEvent, reason: "unchanged" };
+  }
+
+  const previousEvent = record?.event || null;
+  await shipments.set(key, {
+    shop,
+    fulfillmentId: fulfillment.id,
+    orderId: fulfillment.order_id ?? null,
+    event,
+    previousEvent,
+    webhookId: webhookId || null,
+    fulfillmentUpdatedAt,
+    changedAt: Date.now(),
+  });
+
+  pruneExpired().catch((error) => {
+    log.error("Failed to prune shipment states", { error });
+  });
+  return { changed: true, event, previousEvent };
+}
+
+/**
+ * Payload to forward for a shipment event.
+ *
+ * @param {any} fulfillment
+ * @param {string} event
+ * @param {string | null} previousEvent
+ * @returns {any}
+ */
+function withShipmentEvent(fulfillment, event, previousEvent) {
+  const automationStatus = SHIPMENT_EVENTS[event].automationStatus;
+  return {
+    ...fulfillment,
+    shipmentEvent: event,
+    previousShipmentEvent: previousEvent,
+    ...trackingDetails(fulfillment),
+    ...(automationStatus ? { automationStatus } : {}),
+  };
+}
+
+// ============================================================================
+// Pipeline hooks
+// ============================================================================
+
+/**
+ * fulfillments/create hook: records the first shipment event and adds it to
+ * the payload. Never drops the event.
+ *
+ * @param {any} payload - Fulfillment webhook payload
+ * @param {{shop: string, webhookId?: string}} context
+ * @returns {Promise<any>}
+ */
+export async function fulfillmentCreatedHook(payload, { shop, webhookId }) {
+  const { event, previousEvent } = await applyFulfillmentUpdate(shop, payload, { webhookId });
+  return withShipmentEvent(payload, event, previousEvent);
+}
+
+/**
+ * fulfillments/update hook: forwards the event only when the shipment event
+ * changed.
+ *
+ * @param {any} payload - Fulfillment webhook payload
+ * @param {{shop: string, topic: string, webhookId?: string}} context
+ * @returns {Promise<any | null>} The payload with its shipment event, or null if it didn't change
+ */
+export async function fulfillmentUpdatedHook(payload, { shop, topic, webhookId }) {
+  const { changed, event, previousEvent, reason } = await applyFulfillmentUpdate(shop, payload, {
+    webhookId,
+  });
+  if (!changed) {
+    log.info(
+      `${topic} Fulfillment ID: ${payload.id} ` +
+        (reason === "out_of_order" ? "is older than the last update applied" : `still ${event}`),
+    );
+    return null;
+  }
+  log.info(`Fulfillment ID: ${payload.id} ${previousEvent || "(new)"} -> ${event}`);
+  return withShipmentEvent(payload, event, previousEvent);
+}
@@ -0,0 +1,188 @@
+/**
+ * ============================================================================
+ * Shop Credentials
+ * ============================================================================
+ *
+ * Each shop's own Wylto API credential, issued by Wylto when the merchant
+ * links the store to their account (POST /api/shopify/applink) and revoked
+ * when they disconnect. WyltoClient (wylto-client.server.js) authenticates
+ * every call for a shop with it, so a leaked credential exposes one store
+ * and Wylto can revoke stores one at a time.
+ *
+ * The app-wide WYLTO_API_TOKEN is for bootstrap: registering a store
+ * (connect), linking it (applink), un-linking it (appdisconnect) and
+ * exchanging it for a credential. A shop that Wylto linked without issuing
+ * it a credential (linked before Wylto issued them, or while it doesn't) is
+ * recorded as using the app token until it gets one; the client tries the
+ * exchange again once a day. A shop with no record at all, or whose
+ * credential can't be decrypted, never falls back to the app token.
+ *
+ * Records are kept next to the sessions: in the PostgreSQL database with the
+ * postgresql session adapter (postgres.server.js), so every instance sees a
+ * shop linked on any of them, and otherwise in the "shop-credentials"
+ * collection, for a single local instance. Credentials are sealed with the
+ * session encryption key (encryption.server.js) when one is configured,
+ * bound to the shop, and re-sealed with the current key the next time they
+ * are read after a rotation. An uninstalled shop keeps its record until its
+ * data has been deleted and its outbox has drained, so app/uninstalled and
+ * shop/redact are still forwarded with it (offboarding.server.js).
+ *
+ * Record shape (keyed by shop domain, a jsonb column in PostgreSQL):
+ *   { shop, credential | sealed, issuedAt }
+ *   credential is the plain token (no encryption key), sealed its envelope;
+ *   or, for a shop using the app token:
+ *   { shop, appToken: true, checkedAt }
+ *   checkedAt is when Wylto last issued no credential for it
+ * ============================================================================
+ */
+
+import { openCollection } from "./storage.server";
+import { openTable } from "./postgres.server";
+import { isEncryptionConfigured, needsRewrap, rewrap, seal, unseal } from "./encryption.server";
+import { createLogger } from "./logger.server";
+import { config } from "./config.server";
+
+/** The credentials table, with the postgresql session adapter. */
+const CREDENTIAL_TABLE = "wylto_shop_credentials";
+
+const log = createLogger("Credentials");
+
+/**
+ * Credential records in the "shop-credentials" collection.
+ *
+ * @returns {{
+ *   get: (shop: string) => Promise<object | null>,
+ *   set: (shop: string, record: object) => Promise<void>,
+ *   delete: (shop: string) => Promise<boolean>
+ * }}
+ */
+function createFileCredentialStore() {
+  const records = openCollection("shop-credentials");
+  return {
+    get: async (shop) => records.get(shop) || null,
+    set: (shop, record) => records.set(shop, record),
+    async delete(shop) {
+      if (!records.has(shop)) return false;
+      await records.delete(shop);
+      return true;
+    },
+  };
+}
+
+/**
+ * Credential records in a PostgreSQL table, next to the sessions.
+ *
+ * @param {string} databaseUrl - postgres:// connection string
+ * @returns {ReturnType<typeof createFileCredentialStore>}
+ */
+function createPostgresCredentialStore(databaseUrl) {
+  const query = openTable(
+    databaseUrl,
+    `CREATE TABLE IF NOT EXISTS ${CREDENTIAL_TABLE} (
+      shop text PRIMARY KEY,
+      record jsonb NOT NULL
+    );`,
+  );
+  return {
+    async get(shop) {
+      const [row] = await query(`SELECT record FROM ${CREDENTIAL_TABLE} WHERE shop = $1`, [shop]);
+      return row ? row.record : null;
+    },
+    async set(shop, record) {
+      await query(
+        `INSERT INTO ${CREDENTIAL_TABLE} (shop, record) VALUES ($1, $2)
+         ON CONFLICT (shop) DO UPDATE SET record = EXCLUDED.record`,
+        [shop, record],
+      );
+    },
+    async delete(shop) {
+      const rows = await query(`DELETE FROM ${CREDENTIAL_TABLE} WHERE shop = $1 RETURNING shop`, [shop]);
+      return rows.length > 0;
+    },
+  };
+}
+
+const credentials =
+  config.storage.sessionStorage === "postgresql"
+    ? createPostgresCredentialStore(config.storage.sessionDatabaseUrl)
+    : createFileCredentialStore();
+
+/**
+ * The stored record for a credential.
+ *
+ * @param {string} shop
+ * @param {string} credential
+ * @param {number} issuedAt
+ * @returns {object}
+ */
+function toRecord(shop, credential, issuedAt) {
+  return isEncryptionConfigured()
+    ? { shop, sealed: seal(credential, shop), issuedAt }
+    : { shop, credential, issuedAt };
+}
+
+/**
+ * Stores the credential Wylto issued for a shop, replacing any previous one.
+ *
+ * @param {string} shop
+ * @param {string} credential
+ * @returns {Promise<void>}
+ */
+export async function saveShopCredential(shop, credential) {
+  await credentials.set(shop, toRecord(shop, credential, Date.now()));
+}
+
+/**
+ * Records that Wylto linked a shop without issuing it a credential, so its
+ * calls use the app token until it gets one. Replaces any previous record.
+ *
+ * @param {string} shop
+ * @returns {Promise<{appToken: true, checkedAt: number}>}
+ */
+export async function saveAppTokenLink(shop) {
+  const record = { shop, appToken: true, checkedAt: Date.now() };
+  await credentials.set(shop, record);
+  return { appToken: true, checkedAt: record.checkedAt };
+}
+
+/**
+ * How a shop's calls are authenticated, from its record:
+ *   { credential }          its own credential
+ *   { appToken, checkedAt } the app token, until Wylto issues it a credential
+ *   { unreadable: true }    a credential that can't be decrypted
+ * or null if it has no record (it isn't known to be linked).
+ *
+ * @param {string} shop
+ * @returns {Promise<{credential?: string, appToken?: boolean, checkedAt?: number, unreadable?: boolean} | null>}
+ */
+export async function readShopCredential(shop) {
+  const record = await credentials.get(shop);
+  if (!record) return null;
+  if (record.appToken) return { appToken: true, checkedAt: record.checkedAt };
+  try {
+    const credential = record.sealed ? unseal(record.sealed, shop) : record.credential;
+    if (isEncryptionConfigured() && (!record.sealed || needsRewrap(record.sealed))) {
+      const updated = record.sealed
+        ? { ...record, sealed: rewrap(record.sealed) }
+        : toRecord(shop, credential, record.issuedAt);
+      credentials.set(shop, updated).catch((error) => {
+        log.error(`Could not re-encrypt the credential of ${shop}`, { shop, error: error.message });
+      });
+    }
+    return { credential };
+  } catch (error) {
+    log.error(`Could not decrypt the credential of ${shop}`, { shop, error: error.message });
+    return { unreadable: true };
+  }
+}
+
+/**
+ * Forgets a shop's credential (or that it uses the app token), e.g. once
+ * Wylto has revoked it.
+ *
+ * @param {string} shop
+ * @returns {Promise<boolean>} Whether there was one
+ */
+export function deleteShopCredential(shop) {
+  return credentials.delete(shop);
+}
@@ -0,0 +1,47 @@
+/**
+ * ============================================================================
+ * Shop Settings
+ * ============================================================================
+ *
+ * Per-shop settings a merchant can change from the Settings page
+ * (app.settings.jsx), persisted under WYLTO_DATA_DIR.
+ *
+ * Record shape (keyed by shop domain):
+ *   { shop, codGateways, updatedAt }
+ *   codGateways: extra payment gateway names to treat as cash on delivery,
+ *   on top of payment-mode.server.js's built-in list
+ * ============================================================================
+ */
+
+import { openCollection } from "./storage.server";
+
+/** Settings a shop has before it saves anything. */
+const DEFAULT_SETTINGS = {
+  codGateways: [],
+};
+
+const settings = openCollection("shop-settings");
+
+/**
+ * Gets a shop's settings, with defaults filled in.
+ *
+ * @param {string} shop
+ * @returns {{codGateways: string[], updatedAt: number | null}}
+ */
+export function getShopSettings(shop) {
+  const stored = settings.get(shop);
+  return { ...DEFAULT_SETTINGS, updatedAt: null, ...stored };
+}
+
+/**
+ * Changes some of a shop's settings, leaving the rest as they are.
+ *
+ * @param {string} shop
+ * @param {{codGateways?: string[]}} changes
+ * @returns {Promise<{codGateways: string[], updatedAt: number}>} The saved settings
+ */
+export async function updateShopSettings(shop, changes) {
+  const updated = { ...getShopSettings(shop), ...changes, shop, updatedAt: Date.now() };
+  await settings.set(shop, updated);
+  return updated;
+}
@@ -5,17 +5,23 @@ import {
   DeliveryMethod,
   shopifyApp,
 } from "@shopify/shopify-app-react-router/server";
-import { MemorySessionStorage } from "@shopify/shopify-app-session-storage-memory";
-import { saveAccessToken } from "./wylto-connection.server";
+import { registerStore } from "./store-registration.server";
+import { cancelOffboarding } from "./offboarding.server";
+import { sessionStorage as appSessionStorage } from "./session-storage.server";
+import { addLogContext, createLogger } from "./logger.server";
+import { config } from "./config.server";
+
+const log = createLogger("afterAuth");
 
 const shopify = shopifyApp({
-  apiKey: process.env.SHOPIFY_API_KEY,
-  apiSecretKey: process.env.SHOPIFY_API_SECRET || "",
+  apiKey: config.shopify.apiKey,
+  apiSecretKey: config.shopify.apiSecret,
   apiVersion: ApiVersion.October25,
-  scopes: process.env.SCOPES?.split(","),
-  appUrl: process.env.SHOPIFY_APP_URL || "",
+  scopes: [...config.shopify.scopes],
+  appUrl: config.shopify.appUrl,
   authPathPrefix: "/auth",
-  sessionStorage: new MemorySessionStorage(),
+  // Durable by default, see session-storage.server.js
+  sessionStorage: appSessionStorage,
   distribution: AppDistribution.AppStore,
   webhooks: {
     APP_UNINSTALLED: {
@@ -70,29 +76,36 @@ const shopify = shopifyApp({
   },
   hooks: {
     afterAuth: async ({ session }) => {
-      console.log(`[afterAuth] Starting for shop: ${session.shop}`);
+      addLogContext({ shop: session.shop });
+      log.info(`Starting for shop: ${session.shop}`);
+
+      // A reinstall within the grace period keeps the shop's data
+      if (await cancelOffboarding(session.shop)) {
+        log.info(`Reinstalled, cancelled data deletion for ${session.shop}`);
+      }
 
-      // Save Shopify access token to Wylto after OAuth installation
+      // Register the store with Wylto (saves its access token). A failure is
+      // queued and retried in the background, see store-registration.server.js
       try {
-        const result = await saveAccessToken(session.shop, session.accessToken);
+        const result = await registerStore(session.shop, session.accessToken);
         if (result.success) {
-          console.log(`[afterAuth] Access token saved to Wylto for ${session.shop}`);
+          log.info(`Access token saved to Wylto for ${session.shop}`);
         } else {
-          console.warn(`[afterAuth] Failed to save access token to Wylto for ${session.shop}:`, result.error);
+          log.warn(`Store registration for ${session.shop} queued for retry`, { error: result.error });
         }
       } catch (error) {
         // Don't fail OAuth if Wylto API call fails
-        console.error(`[afterAuth] Error saving access token to Wylto for ${session.shop}:`, error);
+        log.error(`Error saving access token to Wylto for ${session.shop}`, { error });
       }
 
-      console.log(`[afterAuth] Completed for shop: ${session.shop}`);
+      log.info(`Completed for shop: ${session.shop}`);
     },
   },
   future: {
     unstable_newEmbeddedAuthStrategy: true,
   },
-  ...(process.env.SHOP_CUSTOM_DOMAIN
-    ? { customShopDomains: [process.env.SHOP_CUSTOM_DOMAIN] }
+  ...(config.shopify.customShopDomain
+    ? { customShopDomains: [config.shopify.customShopDomain] }
     : {}),
 });
 
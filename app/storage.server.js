@@ -0,0 +1,201 @@
+/**
+ * ============================================================================
+ * Local Durable Storage
+ * ============================================================================
+ *
+ * Small keyed collections persisted as JSON files on local disk. Used for
+ * state that must survive a restart (the webhook outbox, and so on) without
+ * pulling a native database driver into the node:20-alpine image.
+ *
+ * - Reads are served from memory; each collection is loaded once on open.
+ * - Every write rewrites the collection file atomically (temp file + rename),
+ *   so a crash mid-write leaves the previous version intact.
+ * - Writes are serialised and coalesced: a burst of set() calls becomes one
+ *   file write, and each call's promise resolves once its change is on disk.
+ *
+ * Files live in WYLTO_DATA_DIR (default ./data). On Cloud Run, mount a volume
+ * there — the container filesystem is wiped on every restart.
+ *
+ * Stored values are plain JSON. Treat what get() returns as read-only and
+ * set() a new object to change a record.
+ * ============================================================================
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { config } from "./config.server";
+
+const DATA_DIR = config.storage.dataDir;
+
+/** Open collections by name, so every caller shares one in-memory copy. */
+const collections = new Map();
+
+/**
+ * Reads a collection file, returning its [key, value] entries.
+ * A missing file is an empty collection; a corrupt one is a hard error so
+ * that data is never silently overwritten.
+ *
+ * @param {string} file - Absolute path to the collection file
+ * @returns {Array<[string, any]>}
+ */
+function readEntries(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+  try {
+    return Object.entries(JSON.parse(text));
+  } catch (error) {
+    throw new Error(`Storage file ${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Creates the in-memory view and writer for one collection file.
+ *
+ * @param {string} name - Collection name, used as the file name
+ */
+function createCollection(name) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  const records = new Map(readEntries(file));
+
+  let writing = Promise.resolve();
+  let dirty = false;
+
+  async function write() {
+    if (!dirty) return;
+    dirty = false;
+    try {
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.mkdir(DATA_DIR, { recursive: true });
+      await fs.promises.writeFile(tmp, JSON.stringify(Object.fromEntries(records)));
+      await fs.promises.rename(tmp, file);
+    } catch (error) {
+      // Leave the collection marked dirty so the next write retries it
+      dirty = true;
+      throw error;
+    }
+  }
+
+  /** Queues a write of the current state; resolves once it is on disk. */
+  function persist() {
+    dirty = true;
+    writing = writing.catch(() => {}).then(write);
+    return writing;
+  }
+
+  return {
+    name,
+
+    /** @param {string} key */
+    get(key) {
+      return records.get(key);
+    },
+
+    /** @param {string} key */
+    has(key) {
+      return records.has(key);
+    },
+
+    /** @returns {any[]} All values, in insertion order */
+    values() {
+      return [...records.values()];
+    },
+
+    /** @returns {Array<[string, any]>} */
+    entries() {
+      return [...records.entries()];
+    },
+
+    get size() {
+      return records.size;
+    },
+
+    /**
+     * Stores a value and waits for it to reach disk. If the write fails the
+     * in-memory change is undone, so callers never act on a value that
+     * isn't persisted.
+     *
+     * @param {string} key
+     * @param {any} value - JSON-serialisable value
+     * @returns {Promise<void>}
+     */
+    async set(key, value) {
+      const existed = records.has(key);
+      const previous = records.get(key);
+      records.set(key, value);
+      try {
+        await persist();
+      } catch (error) {
+        if (records.get(key) === value) {
+          if (existed) records.set(key, previous);
+          else records.delete(key);
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Removes a key and waits for the removal to reach disk. If the write
+     * fails the key is restored.
+     *
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+      if (!records.has(key)) return;
+      const previous = records.get(key);
+      records.delete(key);
+      try {
+        await persist();
+      } catch (error) {
+        if (!records.has(key)) records.set(key, previous);
+        throw error;
+      }
+    },
+
+    /**
+     * Removes every key matching the predicate in a single write.
+     *
+     * @param {(value: any, key: string) => boolean} predicate
+     * @returns {Promise<number>} Number of keys removed
+     */
+    async deleteWhere(predicate) {
+      let removed = 0;
+      for (const [key, value] of records) {
+        if (predicate(value, key)) {
+          records.delete(key);
+          removed += 1;
+        }
+      }
+      if (removed > 0) await persist();
+      return removed;
+    },
+  };
+}
+
+/**
+ * Opens (or returns the already open) collection with the given name.
+ *
+ * @param {string} name - Collection name like "outbox"
+ */
+export function openCollection(name) {
+  let collection = collections.get(name);
+  if (!collection) {
+    collection = createCollection(name);
+    collections.set(name, collection);
+  }
+  return collection;
+}
+
+/**
+ * Directory the collections are stored in, for diagnostics.
+ *
+ * @returns {string}
+ */
+export function getDataDir() {
+  return DATA_DIR;
+}
@@ -0,0 +1,223 @@
+/**
+ * ============================================================================
+ * Store Registration
+ * ============================================================================
+ *
+ * Registering a store with Wylto means sending it the shop's offline access
+ * token (saveAccessToken -> POST /api/shopify/connect). afterAuth does this
+ * on install, but a Wylto hiccup at that moment used to leave the store
+ * half-installed with only a log line to show for it.
+ *
+ * Every registration now goes through registerStore(), which records the
+ * outcome here. A failed one stays "pending" and a worker in this process
+ * retries it with backoff until Wylto confirms it — there is no attempt
+ * limit, since a store that isn't registered can't work at all. The Home page
+ * shows a "not yet registered" state, with a Retry now button, while a
+ * registration is pending.
+ *
+ * The access token itself isn't stored here: each retry reads the shop's
+ * current offline session, so a token refreshed in the meantime is the one
+ * sent.
+ *
+ * Record shape (keyed by shop):
+ *   { shop, status, attempts, createdAt, lastAttemptAt, nextAttemptAt,
+ *     lastError, registeredAt }
+ *   status is "pending" or "registered".
+ * ============================================================================
+ */
+
+import { openCollection } from "./storage.server";
+import { saveAccessToken } from "./wylto-connection.server";
+import { sessionStorage } from "./session-storage.server";
+import { createLogger } from "./logger.server";
+
+/**
+ * Store Registration Configuration
+ */
+const REGISTRATION_RETRY_BASE_MS = 30 * 1000; // 30 seconds
+const REGISTRATION_RETRY_MAX_MS = 60 * 60 * 1000; // 1 hour
+const REGISTRATION_POLL_INTERVAL = 30 * 1000; // 30 seconds
+
+const registrations = openCollection("store-registrations");
+const log = createLogger("Registration");
+
+/** Registrations currently running, by shop, so a shop is never registered twice at once. */
+const inFlight = new Map();
+
+let workerTimer = null;
+
+/**
+ * Delay before the next attempt: doubles from REGISTRATION_RETRY_BASE_MS up
+ * to REGISTRATION_RETRY_MAX_MS.
+ *
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(attempts) {
+  return Math.min(REGISTRATION_RETRY_BASE_MS * 2 ** (attempts - 1), REGISTRATION_RETRY_MAX_MS);
+}
+
+/**
+ * The shop's offline access token, from session storage.
+ *
+ * @param {string} shop
+ * @returns {Promise<string | null>}
+ */
+async function offlineAccessToken(shop) {
+  const sessions = await sessionStorage.findSessionsByShop(shop);
+  return sessions.find((session) => !session.isOnline && session.accessToken)?.accessToken || null;
+}
+
+/**
+ * Makes one registration attempt and records the outcome.
+ *
+ * @param {string} shop
+ * @param {string | null} accessToken
+ * @returns {Promise<{success: boolean, data?: any, error?: string}>}
+ */
+async function attemptRegistration(shop, accessToken) {
+  const result = accessToken
+    ? await saveAccessToken(shop, accessToken)
+    : { success: false, error: "No offline access token for this shop yet" };
+
+  const now = Date.now();
+  const previous = registrations.get(shop);
+  const attempts = (previous?.status === "pending" ? previous.attempts : 0) + 1;
+
+  if (result.success) {
+    await registrations.set(shop, {
+      shop,
+      status: "registered",
+      attempts,
+      createdAt: previous?.createdAt ?? now,
+      lastAttemptAt: now,
+      nextAttemptAt: null,
+      lastError: null,
+      registeredAt: now,
+    });
+    if (attempts > 1) {
+      log.info(`${shop} registered with Wylto on attempt ${attempts}`, { shop });
+    }
+    return result;
+  }
+
+  const delay = retryDelay(attempts);
+  await registrations.set(shop, {
+    shop,
+    status: "pending",
+    attempts,
+    createdAt: previous?.createdAt ?? now,
+    lastAttemptAt: now,
+    nextAttemptAt: now + delay,
+    lastError: result.error || "Unknown error",
+    registeredAt: null,
+  });
+  log.warn(
+    `${shop} not registered with Wylto (attempt ${attempts}: ${result.error}), ` +
+      `retrying in ${Math.round(delay / 1000)}s`,
+    { shop },
+  );
+  return result;
+}
+
+/**
+ * Registers a store with Wylto now, queueing it for background retries if
+ * that fails. If a registration for the shop is already running, waits for
+ * it instead of starting another.
+ *
+ * @param {string} shop
+ * @param {string} [accessToken] - Defaults to the shop's stored offline token
+ * @returns {Promise<{success: boolean, data?: any, error?: string}>} The attempt's result
+ */
+export function registerStore(shop, accessToken) {
+  if (inFlight.has(shop)) return inFlight.get(shop);
+
+  const attempt = (async () =>
+    attemptRegistration(shop, accessToken || (await offlineAccessToken(shop))))().finally(() =>
+    inFlight.delete(shop),
+  );
+  inFlight.set(shop, attempt);
+  return attempt;
+}
+
+/**
+ * Queues a registration for a shop with no record yet (e.g. installed before
+ * registrations were tracked), for the worker to pick up right away. Does
+ * nothing if the shop already has a record.
+ *
+ * @param {string} shop
+ * @returns {Promise<void>}
+ */
+export async function ensureStoreRegistration(shop) {
+  if (registrations.has(shop)) return;
+  const now = Date.now();
+  await registrations.set(shop, {
+    shop,
+    status: "pending",
+    attempts: 0,
+    createdAt: now,
+    lastAttemptAt: null,
+    nextAttemptAt: now,
+    lastError: null,
+    registeredAt: null,
+  });
+  setImmediate(retryPendingRegistrations);
+}
+
+/**
+ * Gets a shop's registration record.
+ *
+ * @param {string} shop
+ * @returns {object | null}
+ */
+export function getStoreRegistration(shop) {
+  return registrations.get(shop) || null;
+}
+
+/**
+ * Forgets a shop's registration, so nothing is retried after it uninstalls
+ * (see offboarding.server.js).
+ *
+ * @param {string} shop
+ * @returns {Promise<boolean>} Whether there was a registration to forget
+ */
+export async function removeStoreRegistration(shop) {
+  if (!registrations.has(shop)) return false;
+  await registrations.delete(shop);
+  return true;
+}
+
+// ============================================================================
+// Worker
+// ============================================================================
+
+/**
+ * Retries every pending registration whose time has come, one at a time.
+ *
+ * @returns {Promise<void>}
+ */
+export async function retryPendingRegistrations() {
+  const now = Date.now();
+  const due = registrations
+    .values()
+    .filter((r) => r.status === "pending" && r.nextAttemptAt <= now);
+  for (const { shop } of due) {
+    try {
+      await registerStore(shop);
+    } catch (error) {
+      log.error(`Error registering ${shop}`, { shop, error });
+    }
+  }
+}
+
+/**
+ * Starts the background registration worker. Safe to call more than once.
+ * The timer is unref'd so it never keeps the process alive on its own.
+ */
+export function startRegistrationWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(() => {
+    retryPendingRegistrations().catch((error) => log.error("Retry pass failed", { error }));
+  }, REGISTRATION_POLL_INTERVAL);
+  workerTimer.unref?.();
+}
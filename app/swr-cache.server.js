@@ -0,0 +1,126 @@
+/**
+ * ============================================================================
+ * Stale-While-Revalidate Cache
+ * ============================================================================
+ *
+ * In-memory cache for values that are slow to fetch and fine to show a
+ * little out of date. Used by WyltoClient (wylto-client.server.js) for
+ * connection status, templates and automations, keyed per shop.
+ *
+ * For a key, get(key, load):
+ *   younger than ttl        -> cached value, no call
+ *   between ttl and maxAge  -> cached value now, load() refreshes it in the
+ *                              background
+ *   older than maxAge, or   -> waits for load()
+ *   not cached
+ *
+ * Concurrent loads of one key share a single call. Failed loads are never
+ * cached: a failed background refresh keeps the old value (until maxAge),
+ * a failed foreground load rejects. invalidate() drops entries so the next
+ * get() loads again, and discards loads already running for them, so a value
+ * fetched before a change never lands after it.
+ *
+ * The cache is per process: with several instances, one instance's
+ * invalidate() doesn't reach the others, which catch up within ttl.
+ * ============================================================================
+ */
+
+import { createLogger } from "./logger.server";
+
+const log = createLogger("Cache");
+
+/**
+ * Creates a cache.
+ *
+ * @param {{name: string, ttl: number, maxAge: number, maxEntries?: number}} options
+ *   ttl and maxAge in milliseconds; past maxEntries the least recently
+ *   written entries are evicted
+ */
+export function createSwrCache({ name, ttl, maxAge, maxEntries = 5000 }) {
+  /** key -> { value, storedAt } */
+  const entries = new Map();
+  /** key -> Promise of a load in progress */
+  const loading = new Map();
+  /** key -> number, bumped by invalidate() so stale loads can be discarded */
+  const generations = new Map();
+  const stats = { hits: 0, staleHits: 0, misses: 0, refreshFailures: 0 };
+
+  function store(key, value) {
+    entries.delete(key);
+    entries.set(key, { value, storedAt: Date.now() });
+    if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  }
+
+  function startLoad(key, load) {
+    if (loading.has(key)) return loading.get(key);
+    const generation = generations.get(key) || 0;
+    const promise = (async () => {
+      try {
+        const value = await load();
+        if ((generations.get(key) || 0) === generation) store(key, value);
+        return value;
+      } finally {
+        if (loading.get(key) === promise) loading.delete(key);
+      }
+    })();
+    loading.set(key, promise);
+    return promise;
+  }
+
+  return {
+    /**
+     * The key's value, from the cache when it's fresh enough.
+     *
+     * @template T
+     * @param {string} key
+     * @param {() => Promise<T>} load - Fetches the value
+     * @param {{fresh?: boolean}} [options] - fresh skips the cache (the result is still stored)
+     * @returns {Promise<T>}
+     */
+    async get(key, load, { fresh = false } = {}) {
+      const entry = entries.get(key);
+      const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+      if (!fresh && age < ttl) {
+        stats.hits += 1;
+        return entry.value;
+      }
+      if (!fresh && age < maxAge) {
+        stats.staleHits += 1;
+        startLoad(key, load).catch((error) => {
+          stats.refreshFailures += 1;
+          log.warn(`${name}: background refresh of ${key} failed`, { cache: name, key, error: error.message });
+        });
+        return entry.value;
+      }
+      stats.misses += 1;
+      return startLoad(key, load);
+    },
+
+    /**
+     * Drops cached values, and discards loads in progress for them.
+     *
+     * @param {(key: string) => boolean} match - Which keys to drop
+     * @returns {number} How many cached values were dropped
+     */
+    invalidate(match) {
+      let removed = 0;
+      for (const key of new Set([...entries.keys(), ...loading.keys()])) {
+        if (!match(key)) continue;
+        generations.set(key, (generations.get(key) || 0) + 1);
+        loading.delete(key);
+        if (entries.delete(key)) removed += 1;
+      }
+      return removed;
+    },
+
+    /**
+     * Cache size and hit counts since this process started.
+     *
+     * @returns {{entries: number, hits: number, staleHits: number, misses: number, refreshFailures: number}}
+     */
+    getStats() {
+      return { entries: entries.size, ...stats };
+    },
+  };
+}
@@ -0,0 +1,161 @@
+/**
+ * ============================================================================
+ * Webhook Deduplication
+ * ============================================================================
+ *
+ * Shopify delivers webhooks at least once, so the same orders/create can
+ * arrive twice — and forwarding both would send the customer two WhatsApp
+ * confirmations. handleWebhook() claims each delivery here before processing
+ * it; a delivery that was already claimed is acknowledged without being
+ * forwarded again.
+ *
+ * A delivery is a duplicate when either of these was seen within the
+ * retention window:
+ * - its X-Shopify-Webhook-Id (the same delivery, retried by Shopify)
+ * - its X-Shopify-Event-Id for the same topic (the same event, delivered again)
+ *
+ * Record shape (keyed by webhook id):
+ *   { webhookId, eventId, topic, shop, receivedAt, duplicates }
+ * ============================================================================
+ */
+
+import { openCollection } from "./storage.server";
+import { createLogger } from "./logger.server";
+import { config } from "./config.server";
+
+/**
+ * Deduplication Configuration
+ *
+ * Shopify retries a failed delivery for up to 4 hours; 48 hours of retention
+ * also covers manual redeliveries from the Partner dashboard.
+ */
+const DEDUP_RETENTION_HOURS = config.retention.webhookDedupHours;
+const DEDUP_RETENTION_MS = DEDUP_RETENTION_HOURS * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+const seen = openCollection("webhook-ids");
+const log = createLogger("Webhook");
+
+/** "<topic>:<eventId>" -> webhookId, rebuilt from the collection on load. */
+const eventIndex = new Map();
+for (const record of seen.values()) {
+  if (record.eventId) eventIndex.set(eventKey(record.topic, record.eventId), record.webhookId);
+}
+
+/** Duplicates seen by this process, by topic. */
+const duplicateCounts = {};
+
+let lastPrunedAt = 0;
+
+/**
+ * @param {string} topic
+ * @param {string} eventId
+ * @returns {string}
+ */
+function eventKey(topic, eventId) {
+  return `${topic}:${eventId}`;
+}
+
+/**
+ * Drops records older than the retention window. Runs at most once an hour.
+ *
+ * @returns {Promise<void>}
+ */
+async function pruneExpired() {
+  const now = Date.now();
+  if (now - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+  lastPrunedAt = now;
+
+  const cutoff = now - DEDUP_RETENTION_MS;
+  for (const record of seen.values()) {
+    if (record.receivedAt < cutoff && record.eventId) {
+      eventIndex.delete(eventKey(record.topic, record.eventId));
+    }
+  }
+  await seen.deleteWhere((record) => record.receivedAt < cutoff);
+}
+
+/**
+ * Finds an earlier delivery matching this webhook id or event id.
+ *
+ * @param {{webhookId?: string, eventId?: string, topic: string}} delivery
+ * @returns {object | null} The earlier record
+ */
+function findEarlier({ webhookId, eventId, topic }) {
+  const cutoff = Date.now() - DEDUP_RETENTION_MS;
+  const byWebhook = webhookId ? seen.get(webhookId) : null;
+  if (byWebhook && byWebhook.receivedAt >= cutoff) return byWebhook;
+
+  const earlierId = eventId ? eventIndex.get(eventKey(topic, eventId)) : null;
+  const byEvent = earlierId ? seen.get(earlierId) : null;
+  if (byEvent && byEvent.receivedAt >= cutoff) return byEvent;
+
+  return null;
+}
+
+/**
+ * Claims a webhook delivery for processing.
+ *
+ * The claim is visible to other requests as soon as this is called, so two
+ * concurrent deliveries of the same webhook can't both be processed. A
+ * delivery without a webhook id can't be deduplicated and is always new.
+ *
+ * @param {{webhookId?: string, eventId?: string, topic: string, shop: string}} delivery
+ * @returns {Promise<{duplicate: boolean, firstReceivedAt?: number}>}
+ */
+export async function claimWebhook({ webhookId, eventId, topic, shop }) {
+  if (!webhookId) return { duplicate: false };
+
+  const earlier = findEarlier({ webhookId, eventId, topic });
+  if (earlier) {
+    duplicateCounts[topic] = (duplicateCounts[topic] || 0) + 1;
+    await seen.set(earlier.webhookId, { ...earlier, duplicates: (earlier.duplicates || 0) + 1 });
+    return { duplicate: true, firstReceivedAt: earlier.receivedAt };
+  }
+
+  if (eventId) eventIndex.set(eventKey(topic, eventId), webhookId);
+  await seen.set(webhookId, {
+    webhookId,
+    eventId: eventId || null,
+    topic,
+    shop,
+    receivedAt: Date.now(),
+    duplicates: 0,
+  });
+
+  pruneExpired().catch((error) => {
+    log.error("Failed to prune webhook ids", { error });
+  });
+  return { duplicate: false };
+}
+
+/**
+ * Releases a claim, so Shopify's redelivery of the same webhook is processed.
+ * Used when the event could not be accepted (e.g. the outbox write failed).
+ *
+ * @param {{webhookId?: string, eventId?: string, topic: string}} delivery
+ * @returns {Promise<void>}
+ */
+export async function releaseWebhook({ webhookId, eventId, topic }) {
+  if (!webhookId) return;
+  if (eventId && eventIndex.get(eventKey(topic, eventId)) === webhookId) {
+    eventIndex.delete(eventKey(topic, eventId));
+  }
+  await seen.delete(webhookId);
+}
+
+/**
+ * Duplicate deliveries seen, for diagnostics.
+ *
+ * @returns {{sinceStart: Record<string, number>, totalSinceStart: number, retained: number, retentionHours: number}}
+ *   sinceStart counts duplicates by topic since this process started;
+ *   retained is how many webhook ids are currently remembered.
+ */
+export function getDuplicateStats() {
+  return {
+    sinceStart: { ...duplicateCounts },
+    totalSinceStart: Object.values(duplicateCounts).reduce((sum, n) => sum + n, 0),
+    retained: seen.size,
+    retentionHours: DEDUP_RETENTION_HOURS,
+  };
+}
@@ -0,0 +1,141 @@
+/**
+ * ============================================================================
+ * Webhook Error Taxonomy
+ * ============================================================================
+ *
+ * Every way a webhook can go wrong maps to one error class here, and each
+ * class fixes the status Shopify gets back and the category it is logged under.
+ *
+ * | Class                        | Status          | When                                          |
+ * |------------------------------|-----------------|-----------------------------------------------|
+ * | WebhookVerificationError     | 401 / 400 / 405 | HMAC or header validation failed               |
+ * | WebhookPayloadError          | 400             | Verified body isn't JSON or lacks fields       |
+ * | WebhookStorageError          | 500             | Outbox / dedup write failed — Shopify retries  |
+ * | WebhookInternalError         | 500             | A bug in our own processing — Shopify retries  |
+ * | WebhookDownstreamError       | 200             | Wylto unreachable — the outbox retries it      |
+ *
+ * Only a verification failure is ever a 401. A downstream failure is never a
+ * non-2xx: the event is already in the outbox, and a failed status would make
+ * Shopify count the delivery as failed and eventually drop the subscription.
+ * ============================================================================
+ */
+
+/**
+ * Base class. `status` is the HTTP status returned to Shopify, `category` the
+ * log category, and `level` the log level it is logged at.
+ */
+export class WebhookError extends Error {
+  /**
+   * @param {string} message
+   * @param {{status: number, category: string, level?: "error" | "warn", cause?: unknown}} options
+   */
+  constructor(message, { status, category, level = "error", cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = "WebhookError";
+    this.status = status;
+    this.category = category;
+    this.level = level;
+  }
+}
+
+/** The request isn't a genuine Shopify webhook (bad HMAC, missing headers, wrong method). */
+export class WebhookVerificationError extends WebhookError {
+  /**
+   * @param {string} message
+   * @param {{status?: number, cause?: unknown}} [options] - status defaults to 401
+   */
+  constructor(message, { status = 401, cause } = {}) {
+    super(message, { status, category: "verification", level: "warn", cause });
+    this.name = "WebhookVerificationError";
+  }
+}
+
+/** The request is genuine but its body can't be processed. */
+export class WebhookPayloadError extends WebhookError {
+  /**
+   * @param {string} message
+   * @param {{cause?: unknown}} [options]
+   */
+  constructor(message, { cause } = {}) {
+    super(message, { status: 400, category: "payload", cause });
+    this.name = "WebhookPayloadError";
+  }
+}
+
+/** Local persistence failed, so the event was not accepted. */
+export class WebhookStorageError extends WebhookError {
+  /**
+   * @param {string} message
+   * @param {{cause?: unknown}} [options]
+   */
+  constructor(message, { cause } = {}) {
+    super(message, { status: 500, category: "storage", cause });
+    this.name = "WebhookStorageError";
+  }
+}
+
+/** Unexpected failure in our own processing (a hook threw, and so on). */
+export class WebhookInternalError extends WebhookError {
+  /**
+   * @param {string} message
+   * @param {{cause?: unknown}} [options]
+   */
+  constructor(message, { cause } = {}) {
+    super(message, { status: 500, category: "internal", cause });
+    this.name = "WebhookInternalError";
+  }
+}
+
+/**
+ * Delivering to Wylto failed. The event is safe in the outbox, so Shopify
+ * still gets a 200.
+ */
+export class WebhookDownstreamError extends WebhookError {
+  /**
+   * @param {string} message
+   * @param {{upstreamStatus?: number, cause?: unknown}} [options] - upstreamStatus is Wylto's HTTP status (0 if unreachable)
+   */
+  constructor(message, { upstreamStatus = 0, cause } = {}) {
+    super(message, { status: 200, category: "downstream", level: "warn", cause });
+    this.name = "WebhookDownstreamError";
+    this.upstreamStatus = upstreamStatus;
+  }
+}
+
+/**
+ * Classifies whatever authenticate.webhook threw.
+ *
+ * It throws a Response for validation failures (401 for a bad HMAC, 400 for
+ * missing headers, 405 for a non-POST), a SyntaxError when the verified body
+ * isn't JSON, and anything else comes from session lookup.
+ *
+ * @param {unknown} error
+ * @returns {WebhookError}
+ */
+export function classifyAuthenticationError(error) {
+  if (error instanceof Response) {
+    return new WebhookVerificationError(`Webhook verification failed with status ${error.status}`, {
+      status: error.status,
+    });
+  }
+  if (error instanceof SyntaxError) {
+    return new WebhookPayloadError(`Webhook body is not valid JSON: ${error.message}`, {
+      cause: error,
+    });
+  }
+  return new WebhookInternalError(
+    `Webhook authentication errored: ${error?.message || String(error)}`,
+    { cause: error },
+  );
+}
+
+/**
+ * Wraps an unknown error in WebhookInternalError, leaving WebhookErrors as they are.
+ *
+ * @param {unknown} error
+ * @returns {WebhookError}
+ */
+export function toWebhookError(error) {
+  if (error instanceof WebhookError) return error;
+  return new WebhookInternalError(error?.message || String(error), { cause: error });
+}
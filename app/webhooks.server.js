@@ -0,0 +1,355 @@
+/**
+ * ============================================================================
+ * Wylto Webhook Forwarding Pipeline
+ * ============================================================================
+ *
+ * Every Shopify webhook route goes through handleWebhook(). It:
+ * 1. Verifies the request (HMAC) via authenticate.webhook
+ * 2. Looks the topic up in WEBHOOK_TOPICS
+ * 3. Drops repeat deliveries of a webhook already handled (webhook-dedup.server.js)
+ * 4. Runs the topic's hooks, which can enrich the payload or drop the event
+ * 5. Writes { shop, topic, payload } to the durable outbox
+ * 6. Acknowledges Shopify, logging how long that took
+ *
+ * Delivery to Wylto's /api/shopify/webhook happens afterwards, in the outbox
+ * worker running in this process (see outbox.server.js). The route never
+ * waits on Wylto, so a slow backend can't push it past Shopify's 5-second
+ * delivery timeout.
+ *
+ * Order hooks keep each order's lifecycle stage (order-lifecycle.server.js),
+ * so orders/updated is only forwarded when the stage actually changes.
+ * The checkout and orders/create hooks also feed the abandoned-cart detector
+ * (abandoned-carts.server.js), which queues its own synthetic
+ * CHECKOUTS_ABANDONED events.
+ *
+ * Adding a topic means declaring it in WEBHOOK_TOPICS, adding the
+ * subscription in shopify.server.js / shopify.app.toml, and a one-line route.
+ * ============================================================================
+ */
+
+import { authenticate } from "./shopify.server";
+import { addLogContext, createLogger } from "./logger.server";
+import { enqueueWebhook, notifyOutbox } from "./outbox.server";
+import { claimWebhook, releaseWebhook } from "./webhook-dedup.server";
+import { trackCheckoutHook, trackOrderHook } from "./abandoned-carts.server";
+import { paymentModeHook } from "./payment-mode.server";
+import { orderCreatedHook, orderPaidHook, orderStageHook } from "./order-lifecycle.server";
+import { fulfillmentCreatedHook, fulfillmentUpdatedHook } from "./shipment-status.server";
+import { scopesUpdateHook } from "./scope-check.server";
+import { offboardShopHook, shopRedactHook } from "./offboarding.server";
+import {
+  WebhookInternalError,
+  WebhookPayloadError,
+  WebhookStorageError,
+  classifyAuthenticationError,
+  toWebhookError,
+} from "./webhook-errors.server";
+
+const log = createLogger("Webhook");
+
+// ============================================================================
+// Topic Registry
+// ============================================================================
+
+/**
+ * Webhook topics the app forwards to Wylto, keyed by the topic as
+ * authenticate.webhook reports it (e.g. "ORDERS_CREATE").
+ *
+ * Each entry has:
+ * - summary(payload): one-line description of the event for the logs
+ * - requiredFields: payload fields the event is useless without; a payload
+ *   missing one is rejected as a payload error
+ * - hooks: functions run in order before forwarding. A hook receives
+ *   (payload, context) and returns the payload to forward (the same object or
+ *   a new one), or null to stop the event from being forwarded at all.
+ *   context is { shop, topic, webhookId, apiVersion }. Hooks may be async.
+ */
+const WEBHOOK_TOPICS = {
+  APP_UNINSTALLED: {
+    requiredFields: [],
+    summary: () => "App uninstalled",
+    // Deletes the shop's sessions now and the rest of its data after a grace
+    // period (offboarding.server.js)
+    hooks: [offboardShopHook],
+  },
+  APP_SCOPES_UPDATE: {
+    requiredFields: [],
+    summary: (p) => `New scopes: ${JSON.stringify(p.current || [])}`,
+    // Records which features the new scopes leave degraded (scope-check.server.js)
+    hooks: [scopesUpdateHook],
+  },
+  ORDERS_CREATE: {
+    requiredFields: ["id"],
+    summary: (p) =>
+      `Order ID: ${p.id}, Order Number: ${p.name}, ${paymentSummary(p)}`,
+    // paymentModeHook adds paymentMode ("cod" | "prepaid"); orderCreatedHook
+    // records the order's first lifecycle stage; trackOrderHook completes the
+    // checkout the order came from, cancelling its abandoned-cart timer
+    hooks: [paymentModeHook, orderCreatedHook, trackOrderHook],
+  },
+  // orders/updated is only forwarded when the order's lifecycle stage
+  // changes; orders/paid always is, with its stage (see order-lifecycle.server.js)
+  ORDERS_UPDATED: {
+    requiredFields: ["id"],
+    summary: (p) =>
+      `Order ID: ${p.id}, Cancelled At: ${p.cancelled_at || "N/A"}, ` +
+      `Cancel Reason: ${p.cancel_reason || "N/A"}, ${paymentSummary(p)}`,
+    hooks: [orderStageHook],
+  },
+  ORDERS_PAID: {
+    requiredFields: ["id"],
+    summary: (p) => `Order ID: ${p.id}, Order Number: ${p.name}, ${paymentSummary(p)}`,
+    hooks: [orderPaidHook],
+  },
+  // Fulfillments carry a normalized shipmentEvent plus carrier and tracking
+  // link; updates are only forwarded when the shipment event changes (see
+  // shipment-status.server.js)
+  FULFILLMENTS_CREATE: {
+    requiredFields: ["id"],
+    summary: (p) => `Fulfillment ID: ${p.id}, Tracking: ${p.tracking_number || "N/A"}`,
+    hooks: [fulfillmentCreatedHook],
+  },
+  FULFILLMENTS_UPDATE: {
+    requiredFields: ["id"],
+    summary: (p) =>
+      `Fulfillment ID: ${p.id}, Shipment Status: ${p.shipment_status || "N/A"}`,
+    hooks: [fulfillmentUpdatedHook],
+  },
+  CHECKOUTS_CREATE: {
+    requiredFields: ["token"],
+    summary: (p) => `Checkout Token: ${p.token}, Has phone: ${p.phone ? "yes" : "no"}`,
+    hooks: [trackCheckoutHook],
+  },
+  CHECKOUTS_UPDATE: {
+    requiredFields: ["token"],
+    summary: (p) => `Checkout Token: ${p.token}, Completed: ${!!p.completed_at}`,
+    hooks: [trackCheckoutHook],
+  },
+  // GDPR Compliance webhooks (mandatory for App Store). Summaries name ids
+  // only: these payloads are the customer data being asked about.
+  CUSTOMERS_DATA_REQUEST: {
+    requiredFields: [],
+    summary: (p) =>
+      `Customer data request: customer ${p.customer?.id ?? "N/A"}, ` +
+      `${p.orders_requested?.length ?? 0} orders, request ${p.data_request?.id ?? "N/A"}`,
+    hooks: [],
+  },
+  CUSTOMERS_REDACT: {
+    requiredFields: [],
+    summary: (p) =>
+      `Customer redact request: customer ${p.customer?.id ?? "N/A"}, ` +
+      `${p.orders_to_redact?.length ?? 0} orders`,
+    hooks: [],
+  },
+  SHOP_REDACT: {
+    requiredFields: [],
+    summary: (p) => `Shop redact request: ${p.shop_domain ?? "N/A"}`,
+    // Deletes the shop's data without waiting for the grace period
+    hooks: [shopRedactHook],
+  },
+};
+
+/**
+ * Shared log fragment for the order topics' payment fields.
+ *
+ * @param {any} payload - Order webhook payload
+ * @returns {string}
+ */
+function paymentSummary(payload) {
+  return (
+    `Payment: gateway=${payload.gateway || "N/A"}, ` +
+    `payment_gateway_names=${JSON.stringify(payload.payment_gateway_names || [])}, ` +
+    `financial_status=${payload.financial_status || "N/A"}`
+  );
+}
+
+/**
+ * Gets the registry entry for a topic.
+ *
+ * @param {string} topic - Topic like "ORDERS_CREATE"
+ * @returns {{requiredFields: string[], summary: Function, hooks: Function[]} | null}
+ */
+export function getWebhookTopic(topic) {
+  return WEBHOOK_TOPICS[topic] || null;
+}
+
+/**
+ * Gets all registered topic keys.
+ *
+ * @returns {string[]}
+ */
+export function getAllWebhookTopics() {
+  return Object.keys(WEBHOOK_TOPICS);
+}
+
+// ============================================================================
+// Pipeline
+// ============================================================================
+
+/**
+ * Checks the verified payload has what the topic needs.
+ *
+ * @param {string} topic
+ * @param {{requiredFields: string[]}} definition - Registry entry
+ * @param {any} payload
+ * @throws {WebhookPayloadError}
+ */
+function validatePayload(topic, definition, payload) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    throw new WebhookPayloadError(`${topic} payload is not a JSON object`);
+  }
+  const missingFields = definition.requiredFields.filter(
+    (field) => payload[field] == null || payload[field] === "",
+  );
+  if (missingFields.length > 0) {
+    throw new WebhookPayloadError(
+      `${topic} payload is missing required fields: ${missingFields.join(", ")}`,
+    );
+  }
+}
+
+/**
+ * Runs a topic's hooks over the payload.
+ *
+ * @param {{hooks: Function[]}} definition - Registry entry
+ * @param {any} payload - Verified webhook payload
+ * @param {{shop: string, topic: string, webhookId?: string, apiVersion?: string}} context
+ * @returns {Promise<any | null>} Payload to forward, or null if a hook dropped it
+ * @throws {WebhookInternalError} If a hook throws
+ */
+async function runHooks(definition, payload, context) {
+  let current = payload;
+  for (const hook of definition.hooks) {
+    let next;
+    try {
+      next = await hook(current, context);
+    } catch (error) {
+      throw new WebhookInternalError(
+        `${context.topic} hook ${hook.name || "(anonymous)"} failed: ${error.message}`,
+        { cause: error },
+      );
+    }
+    if (next === null) return null;
+    if (next !== undefined) current = next;
+  }
+  return current;
+}
+
+/**
+ * Logs a webhook error at its level with its category, e.g.
+ * "Webhook verification failed with status 401 -> responding 401"
+ * with {category: "verification"}.
+ *
+ * @param {import("./webhook-errors.server").WebhookError} error
+ * @param {{topic?: string, shop?: string}} [context]
+ */
+function logWebhookError(error, { topic, shop } = {}) {
+  const where = topic ? `${topic}${shop ? ` for ${shop}` : ""}: ` : "";
+  const detail = error.category === "internal" || error.category === "storage" ? error.cause : undefined;
+  log[error.level](`${where}${error.message} -> responding ${error.status}`, {
+    category: error.category,
+    status: error.status,
+    ...(detail ? { error: detail } : {}),
+  });
+}
+
+/**
+ * Handles a Shopify webhook request end to end. Every webhook route's action
+ * delegates here.
+ *
+ * The response status follows the error taxonomy in webhook-errors.server.js:
+ * 200 as soon as the event is in the outbox, 401/400/405
+ * only when verification fails, 400 for an unusable payload, and 500 when our
+ * own storage or processing failed, so that Shopify redelivers.
+ *
+ * A repeat delivery of a webhook already handled within the retention window
+ * gets a 200 without being processed or forwarded again.
+ *
+ * @param {Request} request - Incoming webhook request
+ * @returns {Promise<Response>}
+ */
+export async function handleWebhook(request) {
+  const startedAt = Date.now();
+  let webhook;
+  try {
+    webhook = await authenticate.webhook(request);
+  } catch (error) {
+    const webhookError = classifyAuthenticationError(error);
+    logWebhookError(webhookError);
+    return new Response(null, { status: webhookError.status });
+  }
+
+  const { shop, payload, topic, webhookId, apiVersion } = webhook;
+  const eventId = request.headers.get("X-Shopify-Event-Id") || undefined;
+  addLogContext({ shop, topic, webhookId });
+  log.info(`${topic} received for shop: ${shop}`);
+
+  const definition = getWebhookTopic(topic);
+  if (!definition) {
+    log.warn(`${topic} is not a registered topic, not forwarding`);
+    return new Response(null, { status: 200 });
+  }
+
+  const delivery = { webhookId, eventId, topic, shop };
+  let claim;
+  try {
+    claim = await claimWebhook(delivery);
+  } catch (error) {
+    const webhookError = new WebhookStorageError("Could not record webhook id for deduplication", {
+      cause: error,
+    });
+    logWebhookError(webhookError, delivery);
+    return new Response(null, { status: webhookError.status });
+  }
+  if (claim.duplicate) {
+    log.info(
+      `${topic} for ${shop} is a duplicate of a delivery first received ` +
+        `${new Date(claim.firstReceivedAt).toISOString()}, not forwarding`,
+    );
+    return new Response(null, { status: 200 });
+  }
+
+  try {
+    const queued = await processWebhook({ shop, topic, webhookId, apiVersion, payload }, definition);
+    if (queued) {
+      log.info(`${topic} for ${shop} queued`, { durationMs: Date.now() - startedAt });
+    }
+    return new Response(null, { status: 200 });
+  } catch (error) {
+    const webhookError = toWebhookError(error);
+    logWebhookError(webhookError, delivery);
+    if (webhookError.status >= 500) {
+      // Let Shopify's redelivery through the duplicate check
+      await releaseWebhook(delivery).catch(() => {});
+    }
+    return new Response(null, { status: webhookError.status });
+  }
+}
+
+/**
+ * Validates, runs hooks and queues a verified, non-duplicate webhook, then
+ * wakes the outbox worker to deliver it.
+ *
+ * @param {{shop: string, topic: string, webhookId?: string, apiVersion?: string, payload: any}} webhook
+ * @param {{requiredFields: string[], summary: Function, hooks: Function[]}} definition
+ * @returns {Promise<boolean>} Whether the event was queued (false if a hook dropped it)
+ * @throws {import("./webhook-errors.server").WebhookError} For anything that should not be a 200
+ */
+async function processWebhook({ shop, topic, webhookId, apiVersion, payload }, definition) {
+  validatePayload(topic, definition, payload);
+  log.info(definition.summary(payload));
+
+  const data = await runHooks(definition, payload, { shop, topic, webhookId, apiVersion });
+  if (data === null) {
+    log.info(`${topic} for ${shop} skipped by hook, not forwarded`);
+    return false;
+  }
+
+  try {
+    await enqueueWebhook({ shop, topic, webhookId, payload: data });
+  } catch (error) {
+    throw new WebhookStorageError("Could not write event to the outbox", { cause: error });
+  }
+  notifyOutbox();
+  return true;
+}
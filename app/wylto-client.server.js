@@ -0,0 +1,633 @@
+/**
+ * ============================================================================
+ * Wylto API Client
+ * ============================================================================
+ *
+ * The one place that talks HTTP to the Wylto backend: Bearer auth, JSON,
+ * request timeouts and error classification live here, and every endpoint
+ * the app uses is a method on WyltoClient.
+ *
+ * Methods resolve with the response data (templates and automations
+ * normalized to the models in wylto-models.server.js) and throw a
+ * WyltoError subclass (wylto-errors.server.js) on failure. Pages don't call
+ * the client directly: the helpers in wylto-connection.server.js wrap each
+ * method into a { success, data?, error?, errorType?, status? } result.
+ *
+ * When Wylto is unhealthy:
+ * - Idempotent calls (GETs) are retried on an outage or timeout, up to
+ *   WYLTO_API_RETRIES more times with jittered exponential backoff. Retries
+ *   share the request's timeout, so a call never takes longer than
+ *   WYLTO_API_TIMEOUT in total. Other calls are not retried here (the outbox
+ *   retries webhook forwards itself).
+ * - A per-process circuit breaker (circuit-breaker.server.js) opens after
+ *   WYLTO_BREAKER_THRESHOLD failed attempts in a row. While it's open every
+ *   call fails at once with WyltoCircuitOpenError instead of waiting on
+ *   Wylto, so admin pages don't hang; after WYLTO_BREAKER_RESET_MS one trial
+ *   call decides whether it closes. Its state is served on /health/wylto.
+ *
+ * Connection status, templates and automations are cached per shop
+ * (swr-cache.server.js): fresh for WYLTO_CACHE_TTL_MS, then served while a
+ * background call refreshes them, up to WYLTO_CACHE_MAX_AGE_MS. Connecting,
+ * disconnecting, creating a template and saving automations drop the shop's
+ * affected entries, whether or not the call succeeded (a timed-out call may
+ * still have gone through).
+ *
+ * Credentials: registering, linking and un-linking a store (connect,
+ * applink, appdisconnect) use the app-wide WYLTO_API_TOKEN. Everything else
+ * for a shop (status, templates, automations, webhook forwards) uses the
+ * shop's own credential, which Wylto issues at applink
+ * (shop-credentials.server.js). A shop with no record yet, e.g. one linked
+ * before Wylto issued credentials, gets one by a one-time exchange with the
+ * app token (exchangeCredential). If Wylto links a shop without issuing one,
+ * the shop's calls are made with the app token until it does, and the
+ * exchange is tried again every CREDENTIAL_EXCHANGE_INTERVAL_MS. Otherwise
+ * nothing falls back to the app token: a shop Wylto hasn't linked, or whose
+ * credential can't be decrypted, gets WyltoNotConnectedError, without
+ * anything being sent.
+ *
+ * With WYLTO_TEST_MODE=true requests go to the in-process fake backend
+ * (wylto-fake.server.js) instead of Wylto, so the whole app runs offline
+ * with realistic responses and errors.
+ * ============================================================================
+ */
+
+import { createCircuitBreaker } from "./circuit-breaker.server";
+import { createSwrCache } from "./swr-cache.server";
+import { createLogger } from "./logger.server";
+import { config } from "./config.server";
+import { createFakeWylto } from "./wylto-fake.server";
+import { toAutomationList, toTemplateList } from "./wylto-models.server";
+import {
+  deleteShopCredential,
+  readShopCredential,
+  saveAppTokenLink,
+  saveShopCredential,
+} from "./shop-credentials.server";
+import {
+  WyltoAuthError,
+  WyltoCircuitOpenError,
+  WyltoNotConnectedError,
+  WyltoNotFoundError,
+  WyltoTimeoutError,
+  WyltoUnavailableError,
+  WyltoValidationError,
+  errorFromFetchFailure,
+  errorFromResponse,
+} from "./wylto-errors.server";
+
+const log = createLogger("Wylto API");
+
+/**
+ * Retry and Circuit Breaker Configuration
+ */
+const WYLTO_API_RETRIES = config.wylto.apiRetries;
+const WYLTO_API_RETRY_BASE_MS = config.wylto.apiRetryBaseMs;
+const WYLTO_BREAKER_THRESHOLD = config.wylto.breakerThreshold;
+const WYLTO_BREAKER_RESET_MS = config.wylto.breakerResetMs;
+
+/**
+ * Cache Configuration
+ */
+const WYLTO_CACHE_TTL_MS = config.wylto.cacheTtlMs;
+const WYLTO_CACHE_MAX_AGE_MS = config.wylto.cacheMaxAgeMs;
+
+/** How often a shop using the app token asks Wylto for its own credential again. */
+const CREDENTIAL_EXCHANGE_INTERVAL_MS = 24 * 60 * 60 * 1000; // 1 day
+
+/**
+ * Delay before retry number `attempt`: exponential from the base, scaled by
+ * a random 50–150% so callers that failed together don't retry together.
+ *
+ * @param {number} attempt - Attempts made so far (>= 1)
+ * @param {number} baseMs
+ * @returns {number} Milliseconds
+ */
+function retryDelay(attempt, baseMs) {
+  return Math.round(baseMs * 2 ** (attempt - 1) * (0.5 + Math.random()));
+}
+
+/**
+ * Whether an error says Wylto is unhealthy (worth retrying, and counted by
+ * the circuit breaker), as opposed to Wylto refusing the request.
+ *
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+function isTransient(error) {
+  return (
+    (error instanceof WyltoUnavailableError || error instanceof WyltoTimeoutError) &&
+    !(error instanceof WyltoCircuitOpenError)
+  );
+}
+
+/**
+ * Throws a WyltoValidationError if a required argument is missing.
+ *
+ * @param {Record<string, any>} args - Arguments by name
+ */
+function requireArgs(args) {
+  const missing = Object.keys(args).filter((name) => !args[name]);
+  if (missing.length > 0) {
+    throw new WyltoValidationError(`${missing.join(" and ")} ${missing.length > 1 ? "are" : "is"} required`);
+  }
+}
+
+/**
+ * Cache key of one kind of a shop's data ("status", "templates",
+ * "automations", "credential").
+ *
+ * @param {string} shop
+ * @param {string} kind
+ * @returns {string}
+ */
+function cacheKey(shop, kind) {
+  return `${shop}|${kind}`;
+}
+
+/**
+ * A shop query string parameter.
+ *
+ * @param {string} shop
+ * @returns {string}
+ */
+function shopQuery(shop) {
+  return `?shop=${encodeURIComponent(shop)}`;
+}
+
+export class WyltoClient {
+  /**
+   * @param {{baseUrl?: string, apiToken?: string, timeout?: number, testMode?: boolean,
+   *   retries?: number, retryBaseMs?: number, breaker?: ReturnType<typeof createCircuitBreaker>,
+   *   cache?: ReturnType<typeof createSwrCache>, fetch?: typeof fetch}} [options]
+   *   Default to WYLTO_API_BASE_URL, WYLTO_API_TOKEN, WYLTO_API_TIMEOUT, WYLTO_TEST_MODE,
+   *   WYLTO_API_RETRIES, WYLTO_API_RETRY_BASE_MS and a breaker and cache of its own.
+   *   testMode sends requests to a fake backend (this.fake) instead of fetch
+   */
+  constructor({
+    baseUrl = config.wylto.apiBaseUrl,
+    apiToken = config.wylto.apiToken,
+    timeout = config.wylto.apiTimeoutMs,
+    testMode = config.wylto.testMode,
+    retries = WYLTO_API_RETRIES,
+    retryBaseMs = WYLTO_API_RETRY_BASE_MS,
+    breaker = createCircuitBreaker({
+      name: "wylto",
+      failureThreshold: WYLTO_BREAKER_THRESHOLD,
+      resetTimeout: WYLTO_BREAKER_RESET_MS,
+    }),
+    cache = createSwrCache({ name: "wylto", ttl: WYLTO_CACHE_TTL_MS, maxAge: WYLTO_CACHE_MAX_AGE_MS }),
+    fetch: fetchImpl = (url, init) => fetch(url, init),
+  } = {}) {
+    this.baseUrl = baseUrl;
+    this.apiToken = apiToken || (testMode ? "fake-wylto-api-token" : "");
+    this.timeout = timeout;
+    this.testMode = testMode;
+    this.fake = testMode ? createFakeWylto({ apiToken: this.apiToken }) : null;
+    this.fetch = this.fake ? this.fake.fetch : fetchImpl;
+    this.retries = retries;
+    this.retryBaseMs = retryBaseMs;
+    this.breaker = breaker;
+    this.cache = cache;
+  }
+
+  /**
+   * Drops a shop's cached data, so the next reads go to Wylto.
+   *
+   * @param {string} shop
+   * @param {string[]} [kinds] - Only these kinds ("status", "templates", "automations",
+   *   "credential"); all by default
+   * @returns {number} How many cached values were dropped
+   */
+  invalidateShop(shop, kinds) {
+    return this.cache.invalidate((key) =>
+      kinds ? kinds.some((kind) => key === cacheKey(shop, kind)) : key.startsWith(`${shop}|`),
+    );
+  }
+
+  /**
+   * Makes an API request, retrying idempotent ones on an outage or timeout.
+   *
+   * @param {string} path - Path beginning with "/", relative to the base URL
+   * @param {{method?: string, body?: any, timeout?: number, retry?: boolean, shop?: string}} [options]
+   *   timeout overrides the client's and bounds all attempts together; retry
+   *   defaults to true for GET only; shop makes the call with that shop's
+   *   credential, without it the call is a bootstrap call made with the app
+   *   token
+   * @returns {Promise<{status: number, data: any}>} data is the parsed body ({ raw } if it isn't JSON), or null if empty
+   * @throws {import("./wylto-errors.server").WyltoError} WyltoNotConnectedError
+   *   if shop is set and has no usable credential
+   */
+  async request(path, { method = "GET", body, timeout = this.timeout, retry = method === "GET", shop } = {}) {
+    const token = shop ? await this.shopToken(shop) : this.apiToken;
+    if (!token) {
+      throw new WyltoAuthError("WYLTO_API_TOKEN not configured", { status: 0 });
+    }
+
+    const deadline = Date.now() + timeout;
+    const maxAttempts = retry ? this.retries + 1 : 1;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.attempt(path, { method, body, timeout, deadline, token });
+      } catch (error) {
+        if (shop && token !== this.apiToken && error instanceof WyltoAuthError) {
+          throw new WyltoAuthError(
+            "Wylto no longer accepts this store's credential. Disconnect the store and connect it again.",
+            { status: error.status, data: error.data },
+          );
+        }
+        const delay = retryDelay(attempt, this.retryBaseMs);
+        if (attempt >= maxAttempts || !isTransient(error) || Date.now() + delay >= deadline) {
+          throw error;
+        }
+        log.warn(`${method} ${path} attempt ${attempt} failed, retrying in ${delay}ms`, {
+          error: error.message,
+        });
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * The credential to make a shop's calls with: its own, or the app token
+   * while Wylto hasn't issued it one. A shop with no record goes through
+   * exchangeCredential() first; the outcome for a shop Wylto hasn't linked is
+   * cached like its status, so its calls don't each ask Wylto.
+   *
+   * @param {string} shop
+   * @returns {Promise<string>}
+   * @throws {WyltoNotConnectedError} If Wylto hasn't linked the shop, or its
+   *   credential can't be decrypted
+   */
+  async shopToken(shop) {
+    const stored =
+      (await readShopCredential(shop)) ||
+      (await this.cache.get(cacheKey(shop, "credential"), () => this.exchangeCredential(shop)));
+    if (stored.credential) return stored.credential;
+    if (stored.appToken) {
+      if (Date.now() - stored.checkedAt >= CREDENTIAL_EXCHANGE_INTERVAL_MS) {
+        this.cache
+          .get(cacheKey(shop, "credential"), () => this.exchangeCredential(shop), { fresh: true })
+          .catch((error) => {
+            log.warn(`Credential exchange for ${shop} failed`, { shop, error: error.message });
+          });
+      }
+      return this.apiToken;
+    }
+    throw new WyltoNotConnectedError(stored.unreadable ? "unreadable" : "missing");
+  }
+
+  /**
+   * Exchanges the app token for a shop's own credential, for a shop that
+   * Wylto linked without issuing one (before it issued credentials, or while
+   * it doesn't). Bootstrap calls, made with the app token: the status check
+   * confirms the store is linked, then Wylto is asked for its credential.
+   * Stores the credential, or that the shop keeps using the app token when
+   * Wylto answers that it has none to issue.
+   * GET /api/shopify/status?shop=<shop>, POST /api/shopify/credential
+   *
+   * @param {string} shop
+   * @returns {Promise<{credential?: string, appToken?: boolean, checkedAt?: number, linked?: false}>}
+   *   linked is false when Wylto hasn't linked the store (nothing is stored)
+   */
+  async exchangeCredential(shop) {
+    let status = null;
+    try {
+      ({ data: status } = await this.request(`/api/shopify/status${shopQuery(shop)}`));
+    } catch (error) {
+      if (!(error instanceof WyltoNotFoundError)) throw error;
+    }
+    if (status?.connected !== true) {
+      // Un-linked on Wylto's side since: its calls would only be refused
+      if ((await readShopCredential(shop))?.appToken) await deleteShopCredential(shop);
+      return { linked: false };
+    }
+
+    let shopToken = null;
+    try {
+      const { data } = await this.request("/api/shopify/credential", {
+        method: "POST",
+        body: { shop },
+      });
+      shopToken = data?.shopToken || null;
+    } catch (error) {
+      // Wylto answered, without a credential: anything else is worth retrying
+      if (!(error instanceof WyltoNotFoundError || error instanceof WyltoValidationError)) throw error;
+    }
+    return this.storeIssuedCredential(shop, shopToken);
+  }
+
+  /**
+   * Stores what Wylto issued a shop (at applink, or by exchangeCredential):
+   * its credential, or without one, that its calls use the app token until
+   * it gets one.
+   *
+   * @param {string} shop
+   * @param {string | null | undefined} shopToken
+   * @returns {Promise<{credential?: string, appToken?: boolean, checkedAt?: number}>}
+   */
+  async storeIssuedCredential(shop, shopToken) {
+    if (shopToken) {
+      await saveShopCredential(shop, shopToken);
+      return { credential: shopToken };
+    }
+    log.warn(`Wylto issued no credential for ${shop}, its calls use the app token until it does`, { shop });
+    return saveAppTokenLink(shop);
+  }
+
+  /**
+   * One attempt of a request, through the circuit breaker.
+   *
+   * @param {string} path
+   * @param {{method: string, body: any, timeout: number, deadline: number, token: string}} options
+   *   deadline (epoch ms) is when the whole request times out; token is the
+   *   Bearer credential
+   * @returns {Promise<{status: number, data: any}>}
+   */
+  async attempt(path, { method, body, timeout, deadline, token }) {
+    if (!this.breaker.allowRequest()) {
+      throw new WyltoCircuitOpenError(this.breaker.retryAt());
+    }
+
+    const startedAt = Date.now();
+    let response;
+    let text;
+    try {
+      response = await this.fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(Math.max(deadline - Date.now(), 1)),
+      });
+      text = await response.text();
+    } catch (error) {
+      const wyltoError = errorFromFetchFailure(error, timeout);
+      this.breaker.recordFailure(wyltoError.message);
+      log.warn(`${method} ${path} failed`, { error: wyltoError.message, durationMs: Date.now() - startedAt });
+      throw wyltoError;
+    }
+
+    let data = null;
+    if (text) {
+      try {
+        data = JSON.parse(text);
+      } catch {
+        data = { raw: text };
+      }
+    }
+    log.info(`${method} ${path} -> ${response.status}`, { durationMs: Date.now() - startedAt });
+    // The body (redacted) at debug level, so response shapes can be confirmed
+    // against the backend without guessing at field names
+    log.debug(`${method} ${path} response body`, { body: data });
+
+    if (!response.ok) {
+      const error = errorFromResponse(response.status, data);
+      // A 4xx is Wylto answering; only a server-side failure counts against it
+      if (isTransient(error)) this.breaker.recordFailure(`${response.status} ${error.message}`);
+      else this.breaker.recordSuccess();
+      throw error;
+    }
+    this.breaker.recordSuccess();
+    return { status: response.status, data };
+  }
+
+  // ==========================================================================
+  // Store connection
+  // ==========================================================================
+
+  /**
+   * Registers a store with Wylto by saving its Shopify access token.
+   * POST /api/shopify/connect
+   *
+   * @param {string} shop
+   * @param {string} accessToken - The shop's offline access token
+   * @returns {Promise<any>}
+   */
+  async saveAccessToken(shop, accessToken) {
+    requireArgs({ shop, accessToken });
+    const { data } = await this.request("/api/shopify/connect", {
+      method: "POST",
+      body: { shop, accessToken },
+    });
+    return data;
+  }
+
+  /**
+   * Links a store to the merchant's Wylto account, and stores the credential
+   * Wylto issues for the shop (the response's shopToken). Without one the
+   * shop's calls use the app token until Wylto issues it one.
+   * POST /api/shopify/applink
+   *
+   * @param {string} shop
+   * @param {string} wyltoToken - The merchant's Wylto app token
+   * @returns {Promise<any>} Account details (appId, appName, ...), without the credential
+   * @throws {WyltoNotFoundError} If the store was never registered (saveAccessToken)
+   */
+  async connectApp(shop, wyltoToken) {
+    requireArgs({ shop, wyltoToken });
+    try {
+      const { data } = await this.request("/api/shopify/applink", {
+        method: "POST",
+        body: { shop, wyltoToken },
+      });
+      // The credential never goes back to the page
+      const { shopToken, ...details } = data || {};
+      await this.storeIssuedCredential(shop, shopToken);
+      return details;
+    } catch (error) {
+      if (error instanceof WyltoNotFoundError) {
+        throw new WyltoNotFoundError(
+          "Store not registered with Wylto. The store needs to be registered first via saveAccessToken (which happens automatically during OAuth installation). Please reinstall the app or contact support.",
+          { data: error.data },
+        );
+      }
+      throw error;
+    } finally {
+      // A different account means different templates and automations too
+      this.invalidateShop(shop);
+    }
+  }
+
+  /**
+   * Whether a store is linked to a Wylto account. A store Wylto doesn't know
+   * (404), or hasn't linked, is simply not connected; one whose credential
+   * can't be decrypted throws WyltoNotConnectedError.
+   * GET /api/shopify/status?shop=<shop>
+   *
+   * @param {string} shop
+   * @param {{fresh?: boolean}} [options] - fresh skips the cache
+   * @returns {Promise<{connected: boolean, data: any}>}
+   */
+  async getConnectionStatus(shop, { fresh = false } = {}) {
+    requireArgs({ shop });
+    return this.cache.get(
+      cacheKey(shop, "status"),
+      async () => {
+        try {
+          const { data } = await this.request(`/api/shopify/status${shopQuery(shop)}`, { shop });
+          return { connected: data?.connected === true, data };
+        } catch (error) {
+          if (error instanceof WyltoNotFoundError) return { connected: false, data: null };
+          if (error instanceof WyltoNotConnectedError && error.reason === "missing") {
+            return { connected: false, data: null };
+          }
+          throw error;
+        }
+      },
+      { fresh },
+    );
+  }
+
+  /**
+   * Un-links a store from its Wylto account without uninstalling the app, and
+   * forgets the shop's credential (Wylto revokes it). A store that wasn't
+   * linked (404) counts as disconnected. Made with the app token, so a store
+   * whose credential was revoked can still disconnect and connect again.
+   * POST /api/shopify/appdisconnect
+   *
+   * @param {string} shop
+   * @returns {Promise<any>}
+   */
+  async disconnectApp(shop) {
+    requireArgs({ shop });
+    try {
+      const { data } = await this.request("/api/shopify/appdisconnect", {
+        method: "POST",
+        body: { shop },
+        retry: true, // disconnecting twice is harmless
+      });
+      await deleteShopCredential(shop);
+      return data;
+    } catch (error) {
+      if (error instanceof WyltoNotFoundError) {
+        await deleteShopCredential(shop);
+        return { message: "Store is already disconnected." };
+      }
+      throw error;
+    } finally {
+      this.invalidateShop(shop);
+    }
+  }
+
+  // ==========================================================================
+  // Templates and automations
+  // ==========================================================================
+
+  /**
+   * Lists the WhatsApp templates of a shop's Wylto account.
+   * GET /api/shopify/templates?shop=<shop>
+   *
+   * @param {string} shop
+   * @param {{fresh?: boolean}} [options] - fresh skips the cache
+   * @returns {Promise<import("./wylto-models.server").Template[]>}
+   */
+  async getTemplates(shop, { fresh = false } = {}) {
+    requireArgs({ shop });
+    return this.cache.get(
+      cacheKey(shop, "templates"),
+      async () => {
+        const { data } = await this.request(`/api/shopify/templates${shopQuery(shop)}`, { shop });
+        return toTemplateList(data);
+      },
+      { fresh },
+    );
+  }
+
+  /**
+   * Creates a WhatsApp template, submitted to Meta for approval.
+   * POST /api/shopify/templates?shop=<shop>
+   *
+   * @param {string} shop
+   * @param {object} template - { name, language, category, components }
+   * @returns {Promise<any>}
+   */
+  async createTemplate(shop, template) {
+    requireArgs({ shop, template });
+    try {
+      const { data } = await this.request(`/api/shopify/templates${shopQuery(shop)}`, {
+        method: "POST",
+        shop,
+        body: template,
+      });
+      return data;
+    } finally {
+      this.invalidateShop(shop, ["templates"]);
+    }
+  }
+
+  /**
+   * Reads a shop's order-status automations.
+   * GET /api/shopify/automations?shop=<shop>
+   *
+   * @param {string} shop
+   * @param {{fresh?: boolean}} [options] - fresh skips the cache
+   * @returns {Promise<import("./wylto-models.server").Automation[]>}
+   */
+  async getAutomations(shop, { fresh = false } = {}) {
+    requireArgs({ shop });
+    return this.cache.get(
+      cacheKey(shop, "automations"),
+      async () => {
+        const { data } = await this.request(`/api/shopify/automations${shopQuery(shop)}`, { shop });
+        return toAutomationList(data);
+      },
+      { fresh },
+    );
+  }
+
+  /**
+   * Saves a shop's order-status automations.
+   * POST /api/shopify/automations
+   *
+   * @param {string} shop
+   * @param {Array<{status: string, enabled: boolean, templateId?: string}>} automations
+   * @returns {Promise<any>}
+   */
+  async saveAutomations(shop, automations) {
+    requireArgs({ shop });
+    if (!Array.isArray(automations)) {
+      throw new WyltoValidationError("automations must be an array");
+    }
+    try {
+      const { data } = await this.request("/api/shopify/automations", {
+        method: "POST",
+        shop,
+        body: { shop, automations },
+      });
+      return data;
+    } finally {
+      this.invalidateShop(shop, ["automations"]);
+    }
+  }
+
+  // ==========================================================================
+  // Webhooks
+  // ==========================================================================
+
+  /**
+   * Forwards a Shopify webhook event (used by the outbox worker).
+   * POST /api/shopify/webhook
+   *
+   * @param {{shop: string, topic: string, payload: any}} event
+   * @param {{timeout?: number}} [options]
+   * @returns {Promise<number>} Wylto's HTTP status
+   */
+  async forwardWebhook({ shop, topic, payload }, { timeout } = {}) {
+    const { status } = await this.request("/api/shopify/webhook", {
+      method: "POST",
+      shop,
+      body: { shop, topic, data: payload },
+      timeout,
+    });
+    return status;
+  }
+}
+
+/** The app's client, configured from the environment. */
+export const wyltoClient = new WyltoClient();
+
+if (wyltoClient.testMode) {
+  log.warn("WYLTO_TEST_MODE is on: Wylto calls go to the in-process fake backend, nothing reaches Wylto");
+}
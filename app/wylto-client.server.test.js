@@ -0,0 +1,114 @@
+import { describe, expect, it } from "vitest";
+import { WyltoClient } from "./wylto-client.server";
+import { WyltoAuthError, WyltoNotConnectedError } from "./wylto-errors.server";
+import { createFakeWylto } from "./wylto-fake.server";
+import { deleteShopCredential, readShopCredential } from "./shop-credentials.server";
+
+/**
+ * WyltoClient against the fake backend (WYLTO_TEST_MODE, see
+ * vitest.config.js). The fake's stores live in the shared data directory, so
+ * each test uses a shop of its own.
+ */
+
+/**
+ * Registers and links a shop, as install and the Home page's connect do.
+ *
+ * @param {WyltoClient} client
+ * @param {string} shop
+ */
+async function connectShop(client, shop) {
+  await client.saveAccessToken(shop, "shpat_test");
+  return client.connectApp(shop, "merchant-app-token");
+}
+
+describe("WyltoClient with the fake backend", () => {
+  it("connects a shop without handing its credential back", async () => {
+    const client = new WyltoClient({ testMode: true });
+    const shop = "connect.myshopify.com";
+
+    const details = await connectShop(client, shop);
+
+    expect(details.appId).toMatch(/^app_/);
+    expect(details).not.toHaveProperty("shopToken");
+    await expect(client.getConnectionStatus(shop)).resolves.toMatchObject({ connected: true });
+  });
+
+  it("creates a template and saves automations for a connected shop", async () => {
+    const client = new WyltoClient({ testMode: true });
+    const shop = "round-trip.myshopify.com";
+    await connectShop(client, shop);
+
+    const seeded = await client.getTemplates(shop);
+    expect(seeded.length).toBeGreaterThan(0);
+    expect(seeded.every((t) => t.status === "APPROVED")).toBe(true);
+
+    await client.createTemplate(shop, {
+      name: "shipping_notice",
+      language: "en",
+      category: "utility",
+      components: [{ type: "BODY", text: "Your order is on its way" }],
+    });
+    const templates = await client.getTemplates(shop);
+    expect(templates.find((t) => t.name === "shipping_notice")).toMatchObject({
+      category: "UTILITY",
+      status: "PENDING",
+    });
+
+    const automations = [{ status: "created", enabled: true, templateId: seeded[0].id }];
+    await client.saveAutomations(shop, automations);
+    await expect(client.getAutomations(shop)).resolves.toEqual(automations);
+  });
+
+  it("rejects a bad app token", async () => {
+    const fake = new WyltoClient({ testMode: true });
+    const client = new WyltoClient({
+      testMode: false,
+      baseUrl: fake.baseUrl,
+      apiToken: "not-the-app-token",
+      fetch: fake.fetch,
+    });
+
+    await expect(client.saveAccessToken("bad-token.myshopify.com", "shpat_test")).rejects.toBeInstanceOf(
+      WyltoAuthError,
+    );
+  });
+
+  it("doesn't send a shop's calls before the shop has a credential", async () => {
+    const client = new WyltoClient({ testMode: true });
+    const shop = "not-linked.myshopify.com";
+    await client.saveAccessToken(shop, "shpat_test");
+
+    await expect(client.getTemplates(shop)).rejects.toBeInstanceOf(WyltoNotConnectedError);
+    await expect(client.getConnectionStatus(shop)).resolves.toMatchObject({ connected: false });
+  });
+
+  it("exchanges the app token for a credential for a shop linked before credentials", async () => {
+    const client = new WyltoClient({ testMode: true });
+    const shop = "linked-before.myshopify.com";
+    await connectShop(client, shop);
+    // As if it had been linked before the app stored credentials
+    await deleteShopCredential(shop);
+    client.invalidateShop(shop);
+
+    await expect(client.getTemplates(shop)).resolves.not.toHaveLength(0);
+    const stored = await readShopCredential(shop);
+    expect(stored.credential).toMatch(/^wst_/);
+  });
+
+  it("keeps using the app token for a linked shop while Wylto issues no credentials", async () => {
+    const fake = createFakeWylto({ apiToken: "app-token", issueCredentials: false });
+    const client = new WyltoClient({
+      testMode: false,
+      baseUrl: "https://wylto.test",
+      apiToken: fake.apiToken,
+      fetch: fake.fetch,
+    });
+    const shop = "no-credentials.myshopify.com";
+
+    await connectShop(client, shop);
+
+    await expect(client.getConnectionStatus(shop)).resolves.toMatchObject({ connected: true });
+    await expect(client.getTemplates(shop)).resolves.not.toHaveLength(0);
+    await expect(readShopCredential(shop)).resolves.toMatchObject({ appToken: true });
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * ============================================================================
+ * Wylto API Error Taxonomy
+ * ============================================================================
+ *
+ * Every way a call to the Wylto API can fail maps to one error class here.
+ * WyltoClient (wylto-client.server.js) throws them; the helpers in
+ * wylto-connection.server.js turn them into { success: false, error,
+ * errorType, status } results, so every page shows the same message for the
+ * same failure.
+ *
+ * | Class                  | type          | When                                            |
+ * |------------------------|---------------|-------------------------------------------------|
+ * | WyltoAuthError         | auth          | 401 / 403, or WYLTO_API_TOKEN isn't set         |
+ * | WyltoNotConnectedError | not_connected | Not sent: the shop has no usable credential     |
+ * | WyltoNotFoundError     | not_found     | 404 (unknown store, template, ...)              |
+ * | WyltoValidationError   | validation    | Other 4xx, or a required argument is missing    |
+ * | WyltoUnavailableError  | unavailable   | 5xx, an HTML error page, or a network failure   |
+ * | WyltoCircuitOpenError  | unavailable   | Not sent: the circuit breaker is open           |
+ * | WyltoTimeoutError      | timeout       | No response within the request timeout          |
+ *
+ * error.message is always safe to show to a merchant.
+ * ============================================================================
+ */
+
+/**
+ * Base class. `type` is the short name of the failure, `status` Wylto's HTTP
+ * status (0 when there was no response) and `data` the parsed response body,
+ * if any.
+ */
+export class WyltoError extends Error {
+  /**
+   * @param {string} message
+   * @param {{type?: string, status?: number, data?: any, cause?: unknown}} [options]
+   */
+  constructor(message, { type = "unknown", status = 0, data = null, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = "WyltoError";
+    this.type = type;
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/** Wylto rejected the app's credentials, or there are none to send. */
+export class WyltoAuthError extends WyltoError {
+  /**
+   * @param {string} [message]
+   * @param {{status?: number, data?: any}} [options]
+   */
+  constructor(
+    message = "Authentication failed. The WYLTO_API_TOKEN is invalid, expired, or doesn't have the required permissions. Please verify your API token with the Wylto backend team.",
+    { status = 401, data } = {},
+  ) {
+    super(message, { type: "auth", status, data });
+    this.name = "WyltoAuthError";
+  }
+}
+
+/**
+ * Not sent at all: a call made for a shop, but the shop has no credential to
+ * make it with. reason is "missing" (Wylto hasn't linked the store) or
+ * "unreadable" (stored, but it can't be decrypted). Neither falls back to
+ * the app token.
+ */
+export class WyltoNotConnectedError extends WyltoError {
+  /**
+   * @param {"missing" | "unreadable"} reason
+   * @param {string} [message]
+   */
+  constructor(
+    reason,
+    message = reason === "unreadable"
+      ? "This store's Wylto credential can't be read. Disconnect the store and connect it again."
+      : "This store isn't connected to Wylto. Connect it with your Wylto app token.",
+  ) {
+    super(message, { type: "not_connected" });
+    this.name = "WyltoNotConnectedError";
+    this.reason = reason;
+  }
+}
+
+/** The store, template or other resource doesn't exist on Wylto's side. */
+export class WyltoNotFoundError extends WyltoError {
+  /**
+   * @param {string} [message]
+   * @param {{data?: any}} [options]
+   */
+  constructor(message = "Not found on Wylto.", { data } = {}) {
+    super(message, { type: "not_found", status: 404, data });
+    this.name = "WyltoNotFoundError";
+  }
+}
+
+/** Wylto refused the request as sent (bad input, conflict, and so on). */
+export class WyltoValidationError extends WyltoError {
+  /**
+   * @param {string} message
+   * @param {{status?: number, data?: any}} [options] - status is 0 for a check made before sending
+   */
+  constructor(message, { status = 0, data } = {}) {
+    super(message, { type: "validation", status, data });
+    this.name = "WyltoValidationError";
+  }
+}
+
+/** Wylto is down, erroring, or can't be reached. */
+export class WyltoUnavailableError extends WyltoError {
+  /**
+   * @param {string} [message]
+   * @param {{status?: number, data?: any, cause?: unknown}} [options]
+   */
+  constructor(
+    message = "Wylto API server is temporarily unavailable. Please try again later.",
+    { status = 0, data, cause } = {},
+  ) {
+    super(message, { type: "unavailable", status, data, cause });
+    this.name = "WyltoUnavailableError";
+  }
+}
+
+/**
+ * Not sent at all: recent calls kept failing and the client's circuit breaker
+ * is open, or half-open with its one trial call in flight. retryAt is when to
+ * try again.
+ */
+export class WyltoCircuitOpenError extends WyltoUnavailableError {
+  /**
+   * @param {number} retryAt - Epoch milliseconds
+   */
+  constructor(retryAt) {
+    super(
+      "Wylto API server is temporarily unavailable (recent requests failed). Please try again in a minute.",
+    );
+    this.name = "WyltoCircuitOpenError";
+    this.retryAt = retryAt;
+  }
+}
+
+/** Wylto didn't answer in time. */
+export class WyltoTimeoutError extends WyltoError {
+  /**
+   * @param {number} timeoutMs
+   */
+  constructor(timeoutMs) {
+    super(
+      "Request timed out. The Wylto API server may be slow or unreachable. Please try again later.",
+      { type: "timeout" },
+    );
+    this.name = "WyltoTimeoutError";
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Pulls a human-readable message out of an error response.
+ *
+ * Errors arrive in a few shapes: a plain { error: "..." } string, or — when
+ * the failure came from Meta via Wylto — a nested object whose most useful
+ * field is error_user_msg (e.g. "This template has too many variables for its
+ * length"). Always returns a string, so the UI never tries to render an object.
+ *
+ * @param {any} data - Parsed response body
+ * @param {number} status - HTTP status, used for the fallback message
+ * @returns {string}
+ */
+function extractError(data, status) {
+  const err = data?.error;
+  if (typeof err === "string" && err) return err;
+  if (err && typeof err === "object") {
+    return err.error_user_msg || err.error_user_title || err.message || `Wylto API error (${status})`;
+  }
+  if (typeof data?.message === "string" && data.message) return data.message;
+  return `Wylto API error (${status})`;
+}
+
+/**
+ * Classifies a non-2xx Wylto response.
+ *
+ * @param {number} status
+ * @param {any} data - Parsed body; { raw } when it wasn't JSON
+ * @returns {WyltoError}
+ */
+export function errorFromResponse(status, data) {
+  if (status === 401 || status === 403) {
+    return new WyltoAuthError(undefined, { status, data });
+  }
+  if (status === 404) {
+    return new WyltoNotFoundError(extractError(data, status), { data });
+  }
+  if (status === 503 || status === 504) {
+    return new WyltoUnavailableError(undefined, { status, data });
+  }
+  // A proxy or load balancer answered instead of the API
+  if (/<html|<!doctype html/i.test(data?.raw || "")) {
+    return new WyltoUnavailableError(
+      `Wylto API server error (${status}). The server may be down or unreachable.`,
+      { status, data },
+    );
+  }
+  if (status >= 500) {
+    return new WyltoUnavailableError(extractError(data, status), { status, data });
+  }
+  return new WyltoValidationError(extractError(data, status), { status, data });
+}
+
+/**
+ * Classifies an error thrown by fetch itself (no response at all).
+ *
+ * @param {unknown} error
+ * @param {number} timeoutMs - The request's timeout, for WyltoTimeoutError
+ * @returns {WyltoError}
+ */
+export function errorFromFetchFailure(error, timeoutMs) {
+  if (error instanceof WyltoError) return error;
+  if (error?.name === "AbortError" || error?.name === "TimeoutError") {
+    return new WyltoTimeoutError(timeoutMs);
+  }
+  return new WyltoUnavailableError(
+    "Cannot connect to Wylto API server. Please check your network connection or try again later.",
+    { cause: error },
+  );
+}
@@ -0,0 +1,472 @@
+/**
+ * ============================================================================
+ * Fake Wylto Backend
+ * ============================================================================
+ *
+ * An in-process stand-in for the Wylto API, so the embedded app and the
+ * webhook flow run end to end without a Wylto server. With
+ * WYLTO_TEST_MODE=true, WyltoClient (wylto-client.server.js) sends its
+ * requests here instead of over the network; everything above the client
+ * (retries, circuit breaker, cache, error classification) runs unchanged.
+ *
+ * It implements the endpoints the app uses, with the backend's rules:
+ *
+ *   POST /api/shopify/connect        saves a store's access token (registers it)
+ *   POST /api/shopify/applink        links a registered store to the account
+ *                                    of a Wylto app token and issues the
+ *                                    shop's credential (shopToken); 404 if
+ *                                    the store isn't registered, 409 if it is
+ *                                    linked to another account
+ *   GET  /api/shopify/status         { connected, appId, appName, ... }; 404
+ *                                    for an unknown store
+ *   POST /api/shopify/credential     issues a linked store a new credential
+ *                                    (shopToken), for stores linked without
+ *                                    one; 404 if the store isn't registered,
+ *                                    400 if it isn't linked
+ *   POST /api/shopify/appdisconnect  un-links the store and revokes its
+ *                                    credential; 404 if it isn't linked
+ *   GET  /api/shopify/templates      the account's templates
+ *   POST /api/shopify/templates      creates a template; it stays PENDING
+ *                                    until WYLTO_FAKE_APPROVAL_MS has passed,
+ *                                    as if Meta were reviewing it
+ *   GET  /api/shopify/automations    the store's automations
+ *   POST /api/shopify/automations    saves them; unknown statuses and
+ *                                    templates that aren't approved are
+ *                                    rejected
+ *   POST /api/shopify/webhook        records the event (see receivedWebhooks())
+ *
+ * Every call needs a Bearer token (401 otherwise): the app's API token, or
+ * for a shop's status, templates, automations and webhooks, that shop's
+ * credential. With issueCredentials false it behaves like a backend that
+ * doesn't issue credentials yet: applink returns no shopToken and there is
+ * no credential endpoint. At applink, a merchant's Wylto app token containing "invalid"
+ * is refused, to try the error path; any other links to an account derived
+ * from it, seeded with a few approved templates.
+ *
+ * Stores and accounts are kept in the "fake-wylto-*" collections, so a
+ * registered store survives a dev server restart. Error injection:
+ * failNext() makes matching calls fail with a status, a network error or a
+ * hang; WYLTO_FAKE_LATENCY_MS delays every call and WYLTO_FAKE_FAILURE_RATE
+ * (0-1) answers that share of calls with a 503.
+ * ============================================================================
+ */
+
+import crypto from "node:crypto";
+import { openCollection } from "./storage.server";
+import { config } from "./config.server";
+
+/**
+ * Fake Backend Configuration
+ */
+const WYLTO_FAKE_LATENCY_MS = config.fakeWylto.latencyMs;
+const WYLTO_FAKE_FAILURE_RATE = config.fakeWylto.failureRate;
+const WYLTO_FAKE_APPROVAL_MS = config.fakeWylto.approvalMs;
+const MAX_RECEIVED_WEBHOOKS = 500;
+
+/** Order statuses the backend's automations accept (see app.automations.jsx). */
+const AUTOMATION_STATUSES = ["created", "delivered", "cancelled", "abandonedCart"];
+
+/** Calls only the app token may make: a shop credential can't (un)link stores. */
+const APP_TOKEN_ROUTES = [
+  "POST /api/shopify/connect",
+  "POST /api/shopify/applink",
+  "POST /api/shopify/appdisconnect",
+  "POST /api/shopify/credential",
+];
+
+/** Templates a new account starts with. */
+const SEED_TEMPLATES = [
+  { name: "order_confirmation", category: "UTILITY" },
+  { name: "delivery_update", category: "UTILITY" },
+  { name: "abandoned_cart_reminder", category: "MARKETING" },
+];
+
+/**
+ * A JSON response.
+ *
+ * @param {number} status
+ * @param {any} body
+ * @returns {Response}
+ */
+function json(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+/**
+ * Waits, or rejects as fetch does when the request's signal aborts.
+ *
+ * @param {number} ms - Infinity waits for the signal
+ * @param {AbortSignal | undefined} signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = Number.isFinite(ms) ? setTimeout(resolve, ms) : null;
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true },
+    );
+  });
+}
+
+/**
+ * A new shop credential.
+ *
+ * @returns {string}
+ */
+function newShopToken() {
+  return `wst_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+/**
+ * The account id a Wylto app token belongs to.
+ *
+ * @param {string} wyltoToken
+ * @returns {string}
+ */
+function accountIdFor(wyltoToken) {
+  return `app_${crypto.createHash("sha256").update(wyltoToken).digest("hex").slice(0, 10)}`;
+}
+
+/**
+ * Creates a fake backend.
+ *
+ * @param {{apiToken: string, issueCredentials?: boolean, approvalMs?: number, latencyMs?: number,
+ *   failureRate?: number}} options
+ *   apiToken is the Bearer token it accepts; issueCredentials (default true)
+ *   whether it issues shop credentials; the rest default to the WYLTO_FAKE_*
+ *   variables
+ */
+export function createFakeWylto({
+  apiToken,
+  issueCredentials = true,
+  approvalMs = WYLTO_FAKE_APPROVAL_MS,
+  latencyMs = WYLTO_FAKE_LATENCY_MS,
+  failureRate = WYLTO_FAKE_FAILURE_RATE,
+}) {
+  const stores = openCollection("fake-wylto-stores");
+  const accounts = openCollection("fake-wylto-accounts");
+  /** @type {Array<{route: string, status?: number, body?: any, network?: boolean, hang?: boolean, delay?: number, times: number}>} */
+  const failures = [];
+  /** @type {Array<{shop: string, topic: string, data: any, receivedAt: number}>} */
+  const webhooks = [];
+
+  /**
+   * A template as the API returns it: PENDING until approvalMs has passed.
+   *
+   * @param {object} template
+   */
+  const withReviewStatus = (template) =>
+    template.status === "PENDING" && Date.now() - template.createdAt >= approvalMs
+      ? { ...template, status: "APPROVED" }
+      : template;
+
+  /**
+   * The linked account of a shop, or an error response.
+   *
+   * @param {string} shop
+   * @returns {{store: any, account: any} | {response: Response}}
+   */
+  function linkedAccount(shop) {
+    const store = stores.get(shop);
+    if (!store) return { response: json(404, { error: "Store not found" }) };
+    const account = store.appId && accounts.get(store.appId);
+    if (!account) return { response: json(400, { error: "Store is not connected to a Wylto account" }) };
+    return { store, account };
+  }
+
+  /** Route handlers, by "METHOD /path". */
+  const routes = {
+    async "POST /api/shopify/connect"({ body }) {
+      if (!body?.shop || !body?.accessToken) {
+        return json(400, { error: "shop and accessToken are required" });
+      }
+      const previous = stores.get(body.shop);
+      await stores.set(body.shop, {
+        appId: null,
+        automations: [],
+        ...previous,
+        shop: body.shop,
+        hasAccessToken: true,
+        registeredAt: previous?.registeredAt ?? Date.now(),
+      });
+      return json(200, { message: "Token saved successfully", shop: body.shop });
+    },
+
+    async "POST /api/shopify/applink"({ body }) {
+      if (!body?.shop || !body?.wyltoToken) {
+        return json(400, { error: "shop and wyltoToken are required" });
+      }
+      const store = stores.get(body.shop);
+      if (!store) return json(404, { error: "Store not found" });
+      if (body.wyltoToken.includes("invalid")) {
+        return json(400, { error: "Invalid Wylto app token. Copy it again from Settings → API Settings." });
+      }
+      const appId = accountIdFor(body.wyltoToken);
+      if (store.appId && store.appId !== appId) {
+        return json(409, { error: "Store is already connected to another Wylto account" });
+      }
+      if (!accounts.get(appId)) {
+        const createdAt = Date.now() - approvalMs;
+        await accounts.set(appId, {
+          appId,
+          appName: `Wylto App ${appId.slice(4, 8).toUpperCase()}`,
+          templates: SEED_TEMPLATES.map((template) => ({
+            id: crypto.randomUUID(),
+            ...template,
+            language: "en",
+            components: [{ type: "BODY", text: `Sample ${template.name.replace(/_/g, " ")} message` }],
+            status: "APPROVED",
+            createdAt,
+          })),
+        });
+      }
+      const account = accounts.get(appId);
+      // Linking again issues a new credential and revokes the old one
+      const shopToken = issueCredentials ? newShopToken() : null;
+      await stores.set(body.shop, {
+        ...store,
+        appId,
+        shopToken,
+        connectedAt: store.connectedAt ?? Date.now(),
+      });
+      return json(200, {
+        message: "App connected successfully",
+        shop: body.shop,
+        appId,
+        appName: account.appName,
+        ...(shopToken ? { shopToken } : {}),
+      });
+    },
+
+    async "POST /api/shopify/credential"({ body }) {
+      const store = stores.get(body?.shop);
+      if (!store) return json(404, { error: "Store not found" });
+      if (!store.appId) return json(400, { error: "Store is not connected to a Wylto account" });
+      // Revokes the store's previous credential, if it had one
+      const shopToken = newShopToken();
+      await stores.set(store.shop, { ...store, shopToken });
+      return json(200, { shop: store.shop, shopToken });
+    },
+
+    async "GET /api/shopify/status"({ query }) {
+      const store = stores.get(query.get("shop"));
+      if (!store) return json(404, { error: "Store not found" });
+      const account = store.appId ? accounts.get(store.appId) : null;
+      return json(200, {
+        shop: store.shop,
+        connected: Boolean(account),
+        ...(account
+          ? {
+              appId: account.appId,
+              appName: account.appName,
+              tokenValid: store.hasAccessToken,
+              connectedAt: new Date(store.connectedAt).toISOString(),
+            }
+          : {}),
+      });
+    },
+
+    async "POST /api/shopify/appdisconnect"({ body }) {
+      const store = stores.get(body?.shop);
+      if (!store?.appId) return json(404, { error: "Store is not connected" });
+      await stores.set(store.shop, {
+        ...store,
+        appId: null,
+        shopToken: null,
+        connectedAt: null,
+        automations: [],
+      });
+      return json(200, { message: "Store disconnected successfully", shop: store.shop });
+    },
+
+    async "GET /api/shopify/templates"({ query }) {
+      const linked = linkedAccount(query.get("shop"));
+      if ("response" in linked) return linked.response;
+      return json(200, { templates: linked.account.templates.map(withReviewStatus) });
+    },
+
+    async "POST /api/shopify/templates"({ query, body }) {
+      const linked = linkedAccount(query.get("shop"));
+      if ("response" in linked) return linked.response;
+      const { name, language, category, components } = body || {};
+      if (!/^[a-z0-9_]{1,512}$/.test(name || "")) {
+        return json(400, { error: "Template name may only contain lowercase letters, numbers and underscores" });
+      }
+      if (!language || !category || !Array.isArray(components) || components.length === 0) {
+        return json(400, { error: "language, category and components are required" });
+      }
+      const { account } = linked;
+      if (account.templates.some((t) => t.name === name && t.language === language)) {
+        return json(409, { error: `A template named ${name} already exists in ${language}` });
+      }
+      const template = {
+        id: crypto.randomUUID(),
+        name,
+        language,
+        category: String(category).toUpperCase(),
+        components,
+        status: "PENDING",
+        createdAt: Date.now(),
+      };
+      await accounts.set(account.appId, { ...account, templates: [...account.templates, template] });
+      return json(201, template);
+    },
+
+    async "GET /api/shopify/automations"({ query }) {
+      const linked = linkedAccount(query.get("shop"));
+      if ("response" in linked) return linked.response;
+      return json(200, { automations: linked.store.automations });
+    },
+
+    async "POST /api/shopify/automations"({ body }) {
+      const linked = linkedAccount(body?.shop);
+      if ("response" in linked) return linked.response;
+      if (!Array.isArray(body.automations)) return json(400, { error: "automations must be an array" });
+      const templates = linked.account.templates.map(withReviewStatus);
+      for (const automation of body.automations) {
+        if (!AUTOMATION_STATUSES.includes(automation.status)) {
+          return json(400, { error: `Unknown order status: ${automation.status}` });
+        }
+        const template = templates.find((t) => t.id === automation.templateId);
+        if (automation.enabled && template?.status !== "APPROVED") {
+          return json(400, { error: `Automation for ${automation.status} needs an approved template` });
+        }
+      }
+      const automations = body.automations.map(({ status, enabled, templateId }) => ({
+        status,
+        enabled: Boolean(enabled),
+        templateId: templateId || null,
+      }));
+      await stores.set(linked.store.shop, { ...linked.store, automations });
+      return json(200, { message: "Automations saved", automations });
+    },
+
+    async "POST /api/shopify/webhook"({ body }) {
+      if (!body?.shop || !body?.topic) return json(400, { error: "shop and topic are required" });
+      webhooks.push({ shop: body.shop, topic: body.topic, data: body.data, receivedAt: Date.now() });
+      if (webhooks.length > MAX_RECEIVED_WEBHOOKS) webhooks.shift();
+      return json(200, { received: true });
+    },
+  };
+
+  /**
+   * Whether a call may be made with a token: the app token can make any
+   * call, a shop credential only its own shop's data calls.
+   *
+   * @param {string} route
+   * @param {string | undefined} token
+   * @param {string | undefined} shop
+   * @returns {boolean}
+   */
+  function authorized(route, token, shop) {
+    if (token === apiToken) return true;
+    if (!token || !shop || APP_TOKEN_ROUTES.includes(route)) return false;
+    return stores.get(shop)?.shopToken === token;
+  }
+
+  /**
+   * Takes the next injected failure for a route, if any.
+   *
+   * @param {string} route - "METHOD /path"
+   */
+  function takeFailure(route) {
+    const index = failures.findIndex((f) => f.route === route || f.route === "*");
+    if (index === -1) return null;
+    const failure = failures[index];
+    failure.times -= 1;
+    if (failure.times <= 0) failures.splice(index, 1);
+    return failure;
+  }
+
+  return {
+    apiToken,
+
+    /**
+     * Answers a request the way the Wylto API would. Has fetch's signature,
+     * so WyltoClient can use it in place of fetch.
+     *
+     * @param {string | URL} url
+     * @param {{method?: string, headers?: Record<string, string>, body?: string, signal?: AbortSignal}} [init]
+     * @returns {Promise<Response>}
+     */
+    async fetch(url, { method = "GET", headers = {}, body, signal } = {}) {
+      const { pathname, searchParams } = new URL(url);
+      const route = `${method.toUpperCase()} ${pathname}`;
+
+      const failure = takeFailure(route);
+      await sleep(latencyMs + (failure?.delay || 0), signal);
+      if (failure?.hang) await sleep(Infinity, signal);
+      if (failure?.network) throw new TypeError("fetch failed");
+      if (failure) return json(failure.status || 503, failure.body ?? { error: "Injected failure" });
+      if (failureRate > 0 && Math.random() < failureRate) {
+        return json(503, { error: "Service temporarily unavailable (fake failure rate)" });
+      }
+
+      const handler = issueCredentials || route !== "POST /api/shopify/credential" ? routes[route] : null;
+      if (!handler) return json(404, { error: `Cannot ${route}` });
+
+      let parsed;
+      try {
+        parsed = body ? JSON.parse(body) : undefined;
+      } catch {
+        return json(400, { error: "Request body is not valid JSON" });
+      }
+      const token = headers.Authorization?.replace(/^Bearer /, "");
+      const shop = searchParams.get("shop") || parsed?.shop;
+      if (!authorized(route, token, shop)) return json(401, { error: "Unauthorized" });
+      return handler({ query: searchParams, body: parsed });
+    },
+
+    /**
+     * Makes the next matching calls fail.
+     *
+     * @param {string} route - "METHOD /path" (e.g. "GET /api/shopify/status"), or "*" for any
+     * @param {{status?: number, body?: any, network?: boolean, hang?: boolean, delay?: number, times?: number}} [options]
+     *   status (default 503) and body are the response; network throws like
+     *   an unreachable server; hang never answers, so the request times out;
+     *   delay (ms) comes first; times is how many calls fail (default 1)
+     */
+    failNext(route, { times = 1, ...failure } = {}) {
+      failures.push({ route, times, ...failure });
+    },
+
+    /**
+     * Webhook events received, oldest first.
+     *
+     * @param {string} [shop] - Only this shop's
+     */
+    receivedWebhooks(shop) {
+      return shop ? webhooks.filter((w) => w.shop === shop) : [...webhooks];
+    },
+
+    /**
+     * A store as the backend sees it, or undefined.
+     *
+     * @param {string} shop
+     */
+    getStore(shop) {
+      return stores.get(shop);
+    },
+
+    /**
+     * Forgets every store, account, webhook and pending failure.
+     *
+     * @returns {Promise<void>}
+     */
+    async reset() {
+      failures.length = 0;
+      webhooks.length = 0;
+      await stores.deleteWhere(() => true);
+      await accounts.deleteWhere(() => true);
+    },
+  };
+}
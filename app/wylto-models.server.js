@@ -0,0 +1,228 @@
+/**
+ * ============================================================================
+ * Wylto Response Models
+ * ============================================================================
+ *
+ * Schemas for the objects the Wylto API returns, and the one place their
+ * responses are normalized. WyltoClient (wylto-client.server.js) runs every
+ * template and automation through here, so pages get clean Template and
+ * Automation objects and never guess at field names.
+ *
+ * Each schema field lists the response fields it is read from, canonical
+ * name first. Normalizing:
+ *   - reads the first of those fields that is present, and coerces it to the
+ *     field's type (ids become strings, enums upper case);
+ *   - fills a missing optional field with its default;
+ *   - drops an item whose required field is missing or unusable.
+ * Anything other than the canonical field with the expected type (an alias,
+ * a coerced or unknown value, a dropped item, an unrecognized envelope) is
+ * schema drift: it is logged as a warning, once per kind per process, so the
+ * logs show how the backend's responses differ from these schemas without
+ * repeating it on every call.
+ * ============================================================================
+ */
+
+import { createLogger } from "./logger.server";
+
+const log = createLogger("Wylto API");
+
+/** Template approval statuses, as Meta reports them. */
+export const TEMPLATE_STATUSES = ["APPROVED", "PENDING", "REJECTED", "PAUSED", "DISABLED"];
+
+/** Template categories Meta accepts. */
+export const TEMPLATE_CATEGORIES = ["UTILITY", "MARKETING", "AUTHENTICATION"];
+
+/**
+ * @typedef {object} Template
+ * @property {string} id - What automations refer to it by (its name if Wylto sends no id)
+ * @property {string} name
+ * @property {string | null} language - e.g. "en_US"
+ * @property {string | null} category - One of TEMPLATE_CATEGORIES
+ * @property {string} status - One of TEMPLATE_STATUSES; PENDING until Meta reviews it
+ * @property {object[]} components - Meta template components (HEADER, BODY, ...)
+ */
+
+/**
+ * @typedef {object} Automation
+ * @property {string} status - Order status key (see ORDER_STATUSES in app.automations.jsx)
+ * @property {boolean} enabled
+ * @property {string | null} templateId - Template.id it sends
+ */
+
+/**
+ * Template schema. A freshly created template comes back with no status
+ * until Meta reviews it, so a missing status is PENDING, not drift. Fields
+ * are read in order, so name comes before the id that falls back to it.
+ */
+const TEMPLATE_SCHEMA = {
+  name: { from: ["name", "templateName"], type: "string", required: true },
+  id: { from: ["id", "templateId", "_id"], type: "id", fallback: "name" },
+  language: { from: ["language", "lang"], type: "string", default: null },
+  category: { from: ["category"], type: "enum", values: TEMPLATE_CATEGORIES, default: null },
+  status: { from: ["status", "approvalStatus"], type: "enum", values: TEMPLATE_STATUSES, default: "PENDING" },
+  components: { from: ["components"], type: "array", default: [] },
+};
+
+/** Automation schema. */
+const AUTOMATION_SCHEMA = {
+  status: { from: ["status", "orderStatus"], type: "string", required: true },
+  enabled: { from: ["enabled", "active"], type: "boolean", default: false },
+  templateId: { from: ["templateId", "template_id"], type: "id", default: null },
+};
+
+/** Drift already logged, so each kind is logged once. */
+const reportedDrift = new Set();
+
+/**
+ * Logs a kind of schema drift, the first time it is seen.
+ *
+ * @param {string} model - "Template" or "Automation"
+ * @param {string} message
+ * @param {object} [fields]
+ */
+function drift(model, message, fields = {}) {
+  const key = `${model}: ${message}`;
+  if (reportedDrift.has(key)) return;
+  reportedDrift.add(key);
+  log.warn(`Schema drift in ${model}: ${message}`, { model, ...fields });
+}
+
+/**
+ * Coerces a value to a field's type.
+ *
+ * @param {object} field - Schema field
+ * @param {unknown} value
+ * @returns {{value: any, coerced?: boolean, unknown?: boolean} | null} null if unusable
+ */
+function coerce(field, value) {
+  switch (field.type) {
+    case "string":
+      if (typeof value === "string" && value.trim()) return { value };
+      if (typeof value === "number") return { value: String(value), coerced: true };
+      return null;
+    case "id":
+      if (typeof value === "string" && value) return { value };
+      if (typeof value === "number") return { value: String(value) };
+      return null;
+    case "enum": {
+      if (typeof value !== "string" || !value.trim()) return null;
+      const upper = value.trim().toUpperCase();
+      return { value: upper, unknown: !field.values.includes(upper) };
+    }
+    case "boolean":
+      if (typeof value === "boolean") return { value };
+      if (value === "true" || value === "false") return { value: value === "true", coerced: true };
+      return null;
+    case "array":
+      return Array.isArray(value) ? { value } : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Normalizes one item to a schema.
+ *
+ * @param {string} model
+ * @param {Record<string, any>} schema
+ * @param {any} raw
+ * @returns {object | null} null if the item can't be used
+ */
+function normalize(model, schema, raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    const kind = raw === null ? "null" : Array.isArray(raw) ? "an array" : typeof raw;
+    drift(model, `item is ${kind}, not an object; dropped`);
+    return null;
+  }
+
+  const result = {};
+  for (const [name, field] of Object.entries(schema)) {
+    const source = field.from.find((key) => raw[key] !== undefined && raw[key] !== null);
+    let parsed = source === undefined ? null : coerce(field, raw[source]);
+
+    if (source !== undefined && !parsed) {
+      drift(model, `${source} isn't a usable ${field.type}`, { value: raw[source] });
+    } else if (parsed) {
+      if (source !== field.from[0]) drift(model, `${name} sent as ${source}`);
+      if (parsed.coerced) drift(model, `${source} sent as ${typeof raw[source]}, expected ${field.type}`);
+      if (parsed.unknown) drift(model, `unknown ${name} ${parsed.value}`, { values: field.values });
+    }
+
+    if (!parsed && field.fallback) {
+      parsed = { value: result[field.fallback] ?? null };
+      drift(model, `no ${name}; using ${field.fallback}`);
+    }
+    if (!parsed || parsed.value === null) {
+      if (field.required) {
+        drift(model, `no ${name}; item dropped`);
+        return null;
+      }
+      result[name] = field.default;
+      continue;
+    }
+    result[name] = parsed.value;
+  }
+  return result;
+}
+
+/**
+ * The items of a list response: an array, or an array under `key` in an
+ * envelope object.
+ *
+ * @param {string} model
+ * @param {any} data
+ * @param {string} key - Envelope field, e.g. "templates"
+ * @returns {any[]}
+ */
+function listItems(model, data, key) {
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.[key])) return data[key];
+  if (Array.isArray(data?.data)) {
+    drift(model, `list sent under data, not ${key}`);
+    return data.data;
+  }
+  drift(model, `list response isn't an array or { ${key}: [...] }; treated as empty`, {
+    keys: data && typeof data === "object" ? Object.keys(data) : typeof data,
+  });
+  return [];
+}
+
+/**
+ * A template from a Wylto response, or null if it can't be used.
+ *
+ * @param {any} raw
+ * @returns {Template | null}
+ */
+export function toTemplate(raw) {
+  return /** @type {Template | null} */ (normalize("Template", TEMPLATE_SCHEMA, raw));
+}
+
+/**
+ * The templates of a GET /api/shopify/templates response.
+ *
+ * @param {any} data - Parsed response body
+ * @returns {Template[]}
+ */
+export function toTemplateList(data) {
+  return listItems("Template", data, "templates").map(toTemplate).filter(Boolean);
+}
+
+/**
+ * An automation from a Wylto response, or null if it can't be used.
+ *
+ * @param {any} raw
+ * @returns {Automation | null}
+ */
+export function toAutomation(raw) {
+  return /** @type {Automation | null} */ (normalize("Automation", AUTOMATION_SCHEMA, raw));
+}
+
+/**
+ * The automations of a GET /api/shopify/automations response.
+ *
+ * @param {any} data - Parsed response body
+ * @returns {Automation[]}
+ */
+export function toAutomationList(data) {
+  return listItems("Automation", data, "automations").map(toAutomation).filter(Boolean);
+}
@@ -32,9 +32,25 @@ const TEMPLATES = {
     messageType: "ORDER_FULFILLED",
     description: "Sent when an order is fulfilled/shipped",
     textTemplate:
-      "Hi {{customerName}}, your order #{{orderNumber}} has been shipped!{{#trackingNumber}} Tracking number: {{trackingNumber}}{{/trackingNumber}}{{#carrier}} Carrier: {{carrier}}{{/carrier}}",
+      "Hi {{customerName}}, your order #{{orderNumber}} has been shipped!{{#trackingNumber}} Tracking number: {{trackingNumber}}{{/trackingNumber}}{{#carrier}} Carrier: {{carrier}}{{/carrier}}{{#trackingUrl}} Track it: {{trackingUrl}}{{/trackingUrl}}",
     requiredFields: ["customerName", "orderNumber"],
-    optionalFields: ["trackingNumber", "carrier"],
+    optionalFields: ["trackingNumber", "carrier", "trackingUrl"],
+  },
+  ORDER_OUT_FOR_DELIVERY: {
+    messageType: "ORDER_OUT_FOR_DELIVERY",
+    description: "Sent when a shipment is out for delivery",
+    textTemplate:
+      "Hi {{customerName}}, your order #{{orderNumber}} is out for delivery today!{{#carrier}} Carrier: {{carrier}}{{/carrier}}{{#trackingUrl}} Track it: {{trackingUrl}}{{/trackingUrl}}",
+    requiredFields: ["customerName", "orderNumber"],
+    optionalFields: ["carrier", "trackingUrl"],
+  },
+  ORDER_DELIVERED: {
+    messageType: "ORDER_DELIVERED",
+    description: "Sent when a shipment has been delivered",
+    textTemplate:
+      "Hi {{customerName}}, your order #{{orderNumber}} from {{shopName}} has been delivered. Enjoy!",
+    requiredFields: ["customerName", "orderNumber", "shopName"],
+    optionalFields: [],
   },
   ORDER_CANCELLED: {
     messageType: "ORDER_CANCELLED",
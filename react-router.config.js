@@ -0,0 +1,7 @@
+/** @type {import("@react-router/dev/config").Config} */
+export default {
+  future: {
+    // Route middleware: root.jsx runs every request in a log context
+    v8_middleware: true,
+  },
+};
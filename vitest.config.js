@@ -0,0 +1,18 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { defineConfig } from "vitest/config";
+
+// Tests run the app's server modules directly, without the React Router
+// plugin, against the fake Wylto backend (app/wylto-fake.server.js) and a
+// throwaway data directory.
+export default defineConfig({
+  test: {
+    include: ["app/**/*.test.js"],
+    env: {
+      WYLTO_TEST_MODE: "true",
+      WYLTO_DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), "wylto-test-")),
+      WYLTO_LOG_LEVEL: "error",
+    },
+  },
+});